@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "LoginCode" (
+    "id" SERIAL NOT NULL,
+    "email" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "linkHash" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "ip" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LoginCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LoginCode_linkHash_key" ON "LoginCode"("linkHash");
+
+-- CreateIndex
+CREATE INDEX "LoginCode_email_idx" ON "LoginCode"("email");
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "Card" ADD COLUMN     "batchId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "Batch" (
+    "id" SERIAL NOT NULL,
+    "label" TEXT NOT NULL,
+    "customerRef" TEXT,
+    "orderRef" TEXT,
+    "notes" TEXT,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Batch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Card_batchId_idx" ON "Card"("batchId");
+
+-- AddForeignKey
+ALTER TABLE "Card" ADD CONSTRAINT "Card_batchId_fkey" FOREIGN KEY ("batchId") REFERENCES "Batch"("id") ON DELETE SET NULL ON UPDATE CASCADE;
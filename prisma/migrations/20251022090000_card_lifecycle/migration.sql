@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "Card" ADD COLUMN     "suspendedAt" TIMESTAMP(3),
+ADD COLUMN     "suspendedReason" TEXT,
+ADD COLUMN     "tokenVersion" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "AuditLog" (
+    "id" SERIAL NOT NULL,
+    "uid" TEXT,
+    "action" TEXT NOT NULL,
+    "actor" TEXT NOT NULL,
+    "ip" TEXT,
+    "data" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AuditLog_uid_idx" ON "AuditLog"("uid");
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "Revision" (
+    "id" SERIAL NOT NULL,
+    "uid" TEXT NOT NULL,
+    "profile" JSONB NOT NULL,
+    "source" TEXT NOT NULL,
+    "actorType" TEXT NOT NULL,
+    "actor" TEXT,
+    "ip" TEXT,
+    "meta" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Revision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Revision_uid_id_idx" ON "Revision"("uid", "id");
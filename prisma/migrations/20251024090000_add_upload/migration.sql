@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "Upload" (
+    "id" SERIAL NOT NULL,
+    "key" TEXT NOT NULL,
+    "uid" TEXT NOT NULL,
+    "files" JSONB NOT NULL,
+    "bytes" INTEGER NOT NULL,
+    "actorType" TEXT NOT NULL,
+    "actor" TEXT,
+    "ip" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Upload_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Upload_key_key" ON "Upload"("key");
+
+-- CreateIndex
+CREATE INDEX "Upload_uid_idx" ON "Upload"("uid");
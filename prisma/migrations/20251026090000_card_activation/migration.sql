@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Card" ADD COLUMN     "activationFailures" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "activationHash" TEXT,
+ADD COLUMN     "activationLockedUntil" TIMESTAMP(3),
+ADD COLUMN     "claimTokenId" TEXT;
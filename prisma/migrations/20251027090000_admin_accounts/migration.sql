@@ -0,0 +1,67 @@
+-- AlterTable
+ALTER TABLE "AuditLog" ADD COLUMN     "keyId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "AdminUser" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "email" TEXT,
+    "role" TEXT NOT NULL,
+    "disabledAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AdminUser_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AdminKey" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "label" TEXT,
+    "prefix" TEXT NOT NULL,
+    "keyHash" TEXT NOT NULL,
+    "scopes" TEXT[],
+    "expiresAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "lastUsedAt" TIMESTAMP(3),
+    "rotatedToId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AdminKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AdminAccess" (
+    "id" SERIAL NOT NULL,
+    "keyId" INTEGER,
+    "actor" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "path" TEXT NOT NULL,
+    "status" INTEGER NOT NULL,
+    "ip" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AdminAccess_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AdminUser_name_key" ON "AdminUser"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AdminKey_prefix_key" ON "AdminKey"("prefix");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AdminKey_keyHash_key" ON "AdminKey"("keyHash");
+
+-- CreateIndex
+CREATE INDEX "AdminKey_userId_idx" ON "AdminKey"("userId");
+
+-- CreateIndex
+CREATE INDEX "AdminAccess_keyId_createdAt_idx" ON "AdminAccess"("keyId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AdminAccess_createdAt_idx" ON "AdminAccess"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "AdminKey" ADD CONSTRAINT "AdminKey_userId_fkey" FOREIGN KEY ("userId") REFERENCES "AdminUser"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "Card" ADD COLUMN     "leadNotify" BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE "Lead" (
+    "id" SERIAL NOT NULL,
+    "uid" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "email" TEXT,
+    "phone" TEXT,
+    "company" TEXT,
+    "note" TEXT,
+    "ip" TEXT,
+    "ua" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Lead_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Lead_uid_createdAt_idx" ON "Lead"("uid", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "Lead" ADD CONSTRAINT "Lead_uid_fkey" FOREIGN KEY ("uid") REFERENCES "Card"("uid") ON DELETE CASCADE ON UPDATE CASCADE;
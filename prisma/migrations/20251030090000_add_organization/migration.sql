@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE "Card" ADD COLUMN     "orgId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "Organization" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "company" TEXT,
+    "website" TEXT,
+    "address" TEXT,
+    "socials" JSONB,
+    "imageUrl" TEXT,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Organization_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "OrgManager" (
+    "id" SERIAL NOT NULL,
+    "orgId" INTEGER NOT NULL,
+    "email" TEXT NOT NULL,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrgManager_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Card_orgId_idx" ON "Card"("orgId");
+
+-- CreateIndex
+CREATE INDEX "OrgManager_email_idx" ON "OrgManager"("email");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrgManager_orgId_email_key" ON "OrgManager"("orgId", "email");
+
+-- AddForeignKey
+ALTER TABLE "Card" ADD CONSTRAINT "Card_orgId_fkey" FOREIGN KEY ("orgId") REFERENCES "Organization"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrgManager" ADD CONSTRAINT "OrgManager_orgId_fkey" FOREIGN KEY ("orgId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
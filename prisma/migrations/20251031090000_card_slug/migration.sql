@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "Card" ADD COLUMN     "slug" TEXT;
+
+-- CreateTable
+CREATE TABLE "SlugRedirect" (
+    "slug" TEXT NOT NULL,
+    "uid" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SlugRedirect_pkey" PRIMARY KEY ("slug")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Card_slug_key" ON "Card"("slug");
+
+-- CreateIndex
+CREATE INDEX "SlugRedirect_uid_idx" ON "SlugRedirect"("uid");
+
+-- AddForeignKey
+ALTER TABLE "SlugRedirect" ADD CONSTRAINT "SlugRedirect_uid_fkey" FOREIGN KEY ("uid") REFERENCES "Card"("uid") ON DELETE CASCADE ON UPDATE CASCADE;
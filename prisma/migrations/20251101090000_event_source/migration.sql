@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Event" ADD COLUMN     "referrer" TEXT,
+ADD COLUMN     "source" TEXT;
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "Card" ADD COLUMN     "addresses" JSONB,
+ADD COLUMN     "emails" JSONB,
+ADD COLUMN     "links" JSONB,
+ADD COLUMN     "phones" JSONB,
+ADD COLUMN     "urls" JSONB;
+
+-- Backfill the lists from the flat columns (same shape as contactsFromFlat in src/lib/profile.js)
+UPDATE "Card" SET
+  "phones" =
+    CASE WHEN "mobile" IS NOT NULL AND "mobile" <> '' THEN jsonb_build_array(jsonb_build_object('label', 'mobile', 'number', "mobile")) ELSE '[]'::jsonb END
+    || CASE WHEN "phone" IS NOT NULL AND "phone" <> '' THEN jsonb_build_array(jsonb_build_object('label', 'work', 'number', "phone")) ELSE '[]'::jsonb END,
+  "emails" =
+    CASE WHEN "email" IS NOT NULL AND "email" <> '' THEN jsonb_build_array(jsonb_build_object('label', 'work', 'address', "email")) ELSE '[]'::jsonb END,
+  "urls" =
+    CASE WHEN "website" IS NOT NULL AND "website" <> '' THEN jsonb_build_array(jsonb_build_object('label', 'website', 'url', "website")) ELSE '[]'::jsonb END,
+  "addresses" =
+    CASE WHEN "address" IS NOT NULL AND "address" <> '' THEN jsonb_build_array(jsonb_build_object('label', 'work', 'street', "address")) ELSE '[]'::jsonb END,
+  "links" = '[]'::jsonb;
@@ -0,0 +1,8 @@
+-- Existing lead IPs: truncate like EVENT_IP_MODE=truncate (IPv4 /24, IPv6 /48)
+UPDATE "Lead" l SET "ip" = host(network(set_masklen(t."addr", CASE WHEN family(t."addr") = 4 THEN 24 ELSE 48 END)))
+FROM (
+  SELECT "id", regexp_replace("ip", '^::ffff:(\d+\.\d+\.\d+\.\d+)$', '\1', 'i')::inet AS "addr"
+  FROM "Lead"
+  WHERE "ip" ~ '^[0-9A-Fa-f:.]+$'
+) t
+WHERE l."id" = t."id";
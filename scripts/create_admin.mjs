@@ -0,0 +1,48 @@
+/**
+ * SPEX – Create an admin user + API key
+ * Bootstraps the first account (no admin key needed) and prints the key once.
+ *
+ * Usage:
+ *   node scripts/create_admin.mjs --name=diego [--role=superadmin] [--email=x@y.z] [--label=laptop]
+ *   node scripts/create_admin.mjs --name=diego --new-key     # extra key for an existing user
+ *
+ * Roles: superadmin | admin | support | vendor | analyst  (see src/lib/adminKeys.js)
+ */
+
+import { prisma } from "../src/lib/db.js";
+import { ROLES, generateAdminKey, allowedScopes } from "../src/lib/adminKeys.js";
+
+const args = process.argv.slice(2);
+const opt = (name, fallback = null) => {
+  const a = args.find(x => x.startsWith(`--${name}=`));
+  return a ? a.slice(name.length + 3) : fallback;
+};
+
+async function main() {
+  const name = opt("name");
+  const role = opt("role", "superadmin");
+  if (!name) throw new Error("--name is required");
+  if (!ROLES[role]) throw new Error(`unknown role "${role}" (${Object.keys(ROLES).join(", ")})`);
+
+  let user = await prisma.adminUser.findUnique({ where: { name } });
+  if (user && !args.includes("--new-key")) throw new Error(`admin "${name}" exists; pass --new-key to add a key`);
+  if (!user) user = await prisma.adminUser.create({ data: { name, role, email: opt("email") } });
+
+  const { key, prefix, keyHash } = generateAdminKey();
+  const row = await prisma.adminKey.create({
+    data: { userId: user.id, prefix, keyHash, label: opt("label"), scopes: allowedScopes(user.role) },
+  });
+  await prisma.auditLog.create({
+    data: { action: "admin.key_create", actor: "cli", data: { userId: user.id, keyId: row.id, via: "create_admin" } },
+  });
+
+  console.log(`✅ ${user.name} (${user.role}) — key #${row.id}, scopes: ${row.scopes.join(" ")}`);
+  console.log(`\n  x-admin-key: ${key}\n\nStore it now; it can't be shown again.`);
+  await prisma.$disconnect();
+}
+
+main().catch(async (e) => {
+  console.error("❌ Create admin failed:", e.message);
+  await prisma.$disconnect();
+  process.exit(1);
+});
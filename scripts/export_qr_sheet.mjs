@@ -1,49 +1,23 @@
 /**
  * SPEX – Export QR Sheet (CSV)
- * Per row: uid, claimed, url, name, company, title, mobile, phone, email, website, address, vcard
+ * Per row: uid, claimed, url, name, company, title, mobile, phone, email, website, address, vcard,
+ * phones, emails, urls, addresses, links
  *
  * Usage:
  *   node scripts/export_qr_sheet.mjs
  *   FRONTEND_BASE=https://your-domain node scripts/export_qr_sheet.mjs
+ *
+ * Same columns (with filters) from the API: GET /api/admin/cards?format=csv
+ * Edited sheets go back in with scripts/import_cards.mjs
  */
 
 import { PrismaClient } from "@prisma/client";
 import { mkdirSync, existsSync, writeFileSync } from "fs";
+import { toCsvRow, SHEET_HEADER, sheetRow } from "../src/lib/csv.js";
+import { buildMicrositeUrl } from "../src/lib/qr.js";
 
 const prisma = new PrismaClient();
 const OUT_DIR = "./vcard_qrs";
-const FRONTEND_BASE = (process.env.FRONTEND_BASE || "http://localhost:3000").replace(/\/$/, "");
-
-function buildVCard(card) {
-  const parts = (card.name || "").trim().split(/\s+/);
-  const first = parts[0] || "";
-  const last = parts.length > 1 ? parts.at(-1) : "";
-  const email = card.email || "";
-
-  return [
-    "BEGIN:VCARD",
-    "VERSION:3.0",
-    `N:${last};${first};;;`,
-    `FN:${card.name || ""}`,
-    card.company ? `ORG:${card.company}` : "",
-    card.title ? `TITLE:${card.title}` : "",
-    card.mobile ? `TEL;TYPE=CELL,VOICE:${card.mobile}` : "",
-    card.phone ? `TEL;TYPE=WORK,VOICE:${card.phone}` : "",
-    email ? `EMAIL;TYPE=INTERNET:${email}` : "",
-    card.website ? `URL:${card.website}` : "",
-    card.address ? `ADR;TYPE=WORK:;;${card.address};;;;` : "",
-    "END:VCARD",
-  ].filter(Boolean).join("\r\n");
-}
-
-function toCsvRow(vals) {
-  return vals
-    .map((v) => {
-      const s = (v ?? "").toString();
-      return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
-    })
-    .join(",") + "\n";
-}
 
 async function main() {
   if (!existsSync(OUT_DIR)) mkdirSync(OUT_DIR, { recursive: true });
@@ -53,37 +27,14 @@ async function main() {
     select: {
       uid: true, name: true, company: true, title: true,
       mobile: true, phone: true, email: true,
-      website: true, address: true, imageUrl: true, claimedAt: true,
+      website: true, address: true, socials: true, imageUrl: true, claimedAt: true,
+      phones: true, emails: true, urls: true, addresses: true, links: true, privacy: true,
     },
   });
 
-  const header = [
-    "uid","claimed","url",
-    "name","company","title","mobile","phone","email","website","address",
-    "vcard"
-  ];
-
-  let csv = toCsvRow(header);
-
+  let csv = toCsvRow(SHEET_HEADER);
   for (const c of rows) {
-    const claimed = !!c.claimedAt || !!(c.name || c.mobile || c.email || c.imageUrl);
-    const url = `${FRONTEND_BASE}/${c.uid}`;
-    const vcard = claimed ? buildVCard(c) : "";
-
-    csv += toCsvRow([
-      c.uid,
-      claimed ? "yes" : "no",
-      url,
-      c.name || "",
-      c.company || "",
-      c.title || "",
-      c.mobile || "",
-      c.phone || "",
-      c.email || "",
-      c.website || "",
-      c.address || "",
-      vcard
-    ]);
+    csv += toCsvRow(sheetRow(c, buildMicrositeUrl(c.uid)));
   }
 
   const out = `${OUT_DIR}/qr_sheet.csv`;
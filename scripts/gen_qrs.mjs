@@ -2,7 +2,7 @@
  * SPEX – Universal QR Generator (Microsite + vCard) with idempotency & robust vCard QR
  *
  * Emits per UID:
- *   <OUT_DIR>/<uid>-url.png   → QR to microsite (ALWAYS /u?uid=...)
+ *   <OUT_DIR>/<uid>-url.png   → QR to microsite (/u?uid=..., or the /c/<uid>?src=qr short link with --short)
  *   <OUT_DIR>/<uid>.vcf       → vCard (IF profile data exists)
  *   <OUT_DIR>/<uid>.png       → QR to vCard contents (IF profile data exists)
  *
@@ -10,15 +10,21 @@
  *   --force     regenerate even if files exist
  *   --dry-run   show actions without writing
  *   --uid=...   process a single UID
+ *   --short     encode the scan redirect (SCAN_BASE/c/<uid>?src=qr) so scans are
+ *               recorded server-side; combine with --force to replace existing QRs
  *
  * Usage:
- *   node --env-file=.env scripts/gen_qrs.mjs [--force] [--dry-run] [--uid=<UID>]
+ *   node --env-file=.env scripts/gen_qrs.mjs [--force] [--dry-run] [--short] [--uid=<UID>]
  */
 
 import { PrismaClient } from "@prisma/client";
 import { writeFileSync, mkdirSync, existsSync } from "fs";
 import path from "path";
 import QRCode from "qrcode";
+import { buildVCard, hasProfileData } from "../src/lib/vcard.js";
+import { withOrgDefaults } from "../src/lib/orgs.js";
+import { applyPrivacy } from "../src/lib/privacy.js";
+import { QR_DEFAULTS, buildMicrositeUrl, buildScanUrl } from "../src/lib/qr.js";
 
 const prisma = new PrismaClient();
 
@@ -26,6 +32,7 @@ const prisma = new PrismaClient();
 const ARGS = process.argv.slice(2);
 const FORCE = ARGS.includes("--force");
 const DRY = ARGS.includes("--dry-run");
+const SHORT = ARGS.includes("--short");
 const UID_ARG = (ARGS.find(a => a.startsWith("--uid=")) || "").split("=")[1] || null;
 
 // ---- Config ----
@@ -35,82 +42,10 @@ const PROFILE_ROUTE = process.env.PROFILE_ROUTE || "/u";
 const OUT_DIR = process.env.VCARD_OUT_DIR || "./vcard_qrs";
 
 // ---- Helpers ----
-function vEscape(s = "") {
-  // vCard 3.0 escaping: backslash, newline, comma, semicolon
-  return String(s)
-    .replace(/\\/g, "\\\\")
-    .replace(/\r\n|\n|\r/g, "\\n")
-    .replace(/,/g, "\\,")
-    .replace(/;/g, "\\;");
-}
-
-/** Fold long lines per vCard 3.0 (<=70 chars, soft wrap with CRLF + space) */
-function foldVCard(text) {
-  const CRLF = "\r\n";
-  return text
-    .split(/\r\n|\n|\r/g)
-    .map(line => {
-      if (line.length <= 70) return line;
-      let out = "";
-      let rest = line;
-      while (rest.length > 70) {
-        out += rest.slice(0, 70) + CRLF + " ";
-        rest = rest.slice(70);
-      }
-      return out + rest;
-    })
-    .join(CRLF);
-}
-
-/** Determine if we have enough data to build a useful vCard */
-function hasProfileData(c) {
-  return !!(
-    c?.name || c?.mobile || c?.phone || c?.email ||
-    c?.company || c?.title || c?.website || c?.address || c?.imageUrl
-  );
-}
-
-/** Build a vCard 3.0 string (folded) from a Card row */
-function buildVCard(card) {
-  const name = (card.name || "").trim();
-  const parts = name.split(/\s+/).filter(Boolean);
-  const first = parts[0] || "";
-  const last  = parts.length > 1 ? parts[parts.length - 1] : "";
-
-  const lines = [
-    "BEGIN:VCARD",
-    "VERSION:3.0",
-    `N:${vEscape(last)};${vEscape(first)};;;`,
-    `FN:${vEscape(name)}`,
-  ];
-  if (card.company) lines.push(`ORG:${vEscape(card.company)}`);
-  if (card.title)   lines.push(`TITLE:${vEscape(card.title)}`);
-  if (card.mobile)  lines.push(`TEL;TYPE=CELL,VOICE:${vEscape(card.mobile)}`);
-  if (card.phone)   lines.push(`TEL;TYPE=WORK,VOICE:${vEscape(card.phone)}`);
-  if (card.email)   lines.push(`EMAIL;TYPE=INTERNET:${vEscape(card.email)}`);
-  if (card.website) lines.push(`URL:${vEscape(card.website)}`);
-  if (card.address) lines.push(`ADR;TYPE=WORK:;;${vEscape(card.address)};;;;`);
-  lines.push("END:VCARD");
-
-  // Ensure CRLF and fold long lines
-  const raw = lines.join("\r\n");
-  return foldVCard(raw);
-}
-
-/** Permanent microsite URL */
-function buildMicrositeUrl(uid) {
-  return `${FRONTEND_BASE}${PROFILE_ROUTE}?uid=${encodeURIComponent(uid)}`;
-}
-
+// same settings as GET /api/card/:uid/qr (quiet zone 4, scale 8, ECL M)
 async function qrToFile(path, text) {
   if (DRY) return;
-  await QRCode.toFile(path, text, {
-    type: "png",
-    margin: 4,                 // <- larger quiet zone for better decoding
-    scale: 8,
-    errorCorrectionLevel: "M", // <- slightly lower density than Q
-    color: { dark: "#000000", light: "#FFFFFF" },
-  });
+  await QRCode.toFile(path, text, { ...QR_DEFAULTS, type: "png" });
 }
 
 function writeTextFile(path, contents, enc = "utf8") {
@@ -124,6 +59,7 @@ async function main() {
   console.log(`🔧 OUT_DIR=${OUT_DIR} | FRONTEND_BASE=${FRONTEND_BASE} | PROFILE_ROUTE=${PROFILE_ROUTE}`);
   if (FORCE) console.log("⚠️  FORCE: overwrite existing files");
   if (DRY)   console.log("🧪 DRY-RUN: no files will be written");
+  if (SHORT) console.log("🔗 SHORT: microsite QRs encode the /c/<uid> scan link");
   if (UID_ARG) console.log(`🎯 Single UID: ${UID_ARG}`);
 
   const where = UID_ARG ? { where: { uid: UID_ARG } } : {};
@@ -140,7 +76,16 @@ async function main() {
       email: true,
       website: true,
       address: true,
+      socials: true,
       imageUrl: true,
+      phones: true,
+      emails: true,
+      urls: true,
+      addresses: true,
+      links: true,
+      privacy: true,
+      orgId: true,
+      org: true,
     },
   });
 
@@ -151,7 +96,9 @@ async function main() {
 
   let skippedAll = 0, wroteUrlQr = 0, wroteVcf = 0, wroteVcfQr = 0;
 
-  for (const c of cards) {
+  for (const card of cards) {
+    // org members: empty shared fields come from the org
+    const c = applyPrivacy(withOrgDefaults(card), "vcard");
     const uid = c.uid;
     const base = path.join(OUT_DIR, uid);
     const micrositePng = `${base}-url.png`;
@@ -159,7 +106,7 @@ async function main() {
     const vcardPng     = `${base}.png`;
 
     const haveProfile = hasProfileData(c);
-    const url = buildMicrositeUrl(uid);
+    const url = SHORT ? buildScanUrl(uid, "qr") : buildMicrositeUrl(uid);
 
     const urlQrExists = existsSync(micrositePng);
     const vcfExists   = existsSync(vcfPath);
@@ -182,7 +129,7 @@ async function main() {
 
     if (haveProfile) {
       if (needsVcf) {
-        const vcard = buildVCard(c);
+        const vcard = buildVCard(c, { photo: "uri" });
         console.log(`📝 ${uid}: vCard → ${path.basename(vcfPath)}`);
         writeTextFile(vcfPath, vcard); wroteVcf++;
       } else {
@@ -190,7 +137,8 @@ async function main() {
       }
 
       if (needsVcfQr) {
-        const vcard = buildVCard(c);
+        // keep the QR payload small: no photo, no socials
+        const vcard = buildVCard(c, { socials: false });
         console.log(`🖨️  ${uid}: vCard QR → ${path.basename(vcardPng)}`);
         await qrToFile(vcardPng, vcard); wroteVcfQr++;
       } else if (!FORCE) {
@@ -0,0 +1,68 @@
+/**
+ * SPEX – Import card profiles from CSV
+ * Same checks and columns as POST /api/admin/cards/import (see src/lib/cardImport.js):
+ * blank uid → new card, owner_email pre-claims the card for that address.
+ *
+ * Usage:
+ *   node scripts/import_cards.mjs employees.csv              # dry run: per-row report, writes nothing
+ *   node scripts/import_cards.mjs employees.csv --apply [--batch=12]
+ *
+ * --apply writes every row in one transaction and saves the new UIDs with
+ * their activation codes to ./vcard_qrs/import_<timestamp>.csv (shown nowhere else).
+ */
+
+import { readFileSync, mkdirSync, existsSync, writeFileSync } from "fs";
+import { prisma } from "../src/lib/db.js";
+import { parseImport, planImport, applyImport } from "../src/lib/cardImport.js";
+import { toCsvRow } from "../src/lib/csv.js";
+
+const OUT_DIR = "./vcard_qrs";
+const args = process.argv.slice(2);
+const opt = (name, fallback = null) => {
+  const a = args.find(x => x.startsWith(`--${name}=`));
+  return a ? a.slice(name.length + 3) : fallback;
+};
+// audit/revision entries name the CLI as the actor
+const CLI = { ip: null, admin: { name: "cli", keyId: null } };
+
+async function main() {
+  const file = args.find(a => !a.startsWith("--"));
+  if (!file) throw new Error("usage: import_cards.mjs <file.csv> [--apply] [--batch=ID]");
+  const batchId = opt("batch") != null ? Number(opt("batch")) : null;
+  if (batchId != null && !(await prisma.batch.findUnique({ where: { id: batchId } })))
+    throw new Error(`batch ${opt("batch")} not found`);
+
+  const parsed = parseImport(readFileSync(file, "utf8"));
+  if (!parsed.ok) throw new Error(parsed.error);
+  if (parsed.ignored.length) console.warn(`⚠️  ignored columns: ${parsed.ignored.join(", ")}`);
+
+  const { plan, ok, summary, rows } = await planImport(parsed.rows);
+  for (const r of rows) {
+    const what = r.action === "error"
+      ? r.errors.map(e => `${e.field}: ${e.code}`).join(", ")
+      : r.changes.join(", ");
+    console.log(`${r.action === "error" ? "❌" : "  "} row ${r.row}  ${r.action.padEnd(9)} ${r.uid || "(new)"}  ${what}`);
+  }
+  console.log(`\n${summary.create} to create, ${summary.update} to update, ${summary.unchanged} unchanged, ${summary.error} with errors`);
+
+  if (!args.includes("--apply")) {
+    console.log("Dry run — nothing written. Pass --apply to import.");
+  } else if (!ok) {
+    throw new Error("fix the rows above first; nothing was written");
+  } else {
+    const written = await applyImport(CLI, plan, { batchId });
+    if (!existsSync(OUT_DIR)) mkdirSync(OUT_DIR, { recursive: true });
+    const out = `${OUT_DIR}/import_${new Date().toISOString().replace(/[:.]/g, "-")}.csv`;
+    let csv = toCsvRow(["row", "action", "uid", "activationCode"]);
+    for (const r of written) csv += toCsvRow([r.row, r.action, r.uid, r.activationCode]);
+    writeFileSync(out, csv, "utf8");
+    console.log(`✅ Imported ${written.length} cards — wrote ${out}`);
+  }
+  await prisma.$disconnect();
+}
+
+main().catch(async (e) => {
+  console.error("❌ Import failed:", e.message);
+  await prisma.$disconnect();
+  process.exit(1);
+});
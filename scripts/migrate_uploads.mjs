@@ -0,0 +1,96 @@
+/**
+ * SPEX – Migrate uploads to the configured storage backend
+ * Copies every file from the local uploads folder into STORAGE_DRIVER
+ * (e.g. s3 / MinIO) and rewrites Card.imageUrl and Organization.imageUrl (org
+ * logos) from the old URL prefix to STORAGE_PUBLIC_BASE. Safe to re-run:
+ * already migrated URLs are left alone.
+ *
+ * Usage:
+ *   STORAGE_DRIVER=s3 S3_BUCKET=spex node scripts/migrate_uploads.mjs --dry-run
+ *   STORAGE_DRIVER=s3 S3_BUCKET=spex node scripts/migrate_uploads.mjs
+ *
+ * Options:
+ *   --from-dir=./uploads                      source folder (default UPLOAD_DIR)
+ *   --from-base=http://localhost:8080/uploads  old URL prefix (default BASE_URL/uploads)
+ *   --delete-source                           remove local files once copied
+ *   --dry-run                                 report only
+ *
+ * Only moving to a CDN base? Keep STORAGE_DRIVER=local, set STORAGE_PUBLIC_BASE
+ * and run this to rewrite the URLs (nothing is copied).
+ */
+
+import path from "path";
+import { prisma } from "../src/lib/db.js";
+import { createStorage, storage, publicUrl } from "../src/lib/storage.js";
+import { BASE_URL, STORAGE_DRIVER, UPLOAD_DIR } from "../src/lib/config.js";
+
+const args = process.argv.slice(2);
+const opt = (name, fallback) => {
+  const a = args.find(x => x.startsWith(`--${name}=`));
+  return a ? a.slice(name.length + 3) : fallback;
+};
+const dryRun = args.includes("--dry-run");
+const deleteSource = args.includes("--delete-source");
+const fromDir = path.resolve(opt("from-dir", UPLOAD_DIR));
+const fromBase = opt("from-base", `${BASE_URL}/uploads`).replace(/\/$/, "");
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png",
+  ".gif": "image/gif", ".webp": "image/webp",
+};
+
+async function main() {
+  const source = await createStorage("local", { dir: fromDir });
+  const target = await storage();
+  const sameBackend = STORAGE_DRIVER === "local" && fromDir === UPLOAD_DIR;
+
+  // 1) copy files
+  const files = await source.list();
+  const available = new Set();
+  let copied = 0;
+  for (const f of files) {
+    available.add(f.name);
+    if (sameBackend) continue;
+    if (!dryRun) {
+      const body = await source.get(f.name);
+      const type = CONTENT_TYPES[path.extname(f.name).toLowerCase()] || "application/octet-stream";
+      await target.put(f.name, body, type);
+    }
+    copied++;
+    console.log(`${dryRun ? "would copy" : "copied"} ${f.name}`);
+  }
+
+  // 2) rewrite Card.imageUrl and Organization.imageUrl
+  const where = { imageUrl: { startsWith: `${fromBase}/` } };
+  const rows = [
+    ...(await prisma.card.findMany({ where, select: { uid: true, imageUrl: true } }))
+      .map(c => ({ ...c, label: `card ${c.uid}`, model: prisma.card, key: { uid: c.uid } })),
+    ...(await prisma.organization.findMany({ where, select: { id: true, imageUrl: true } }))
+      .map(o => ({ ...o, label: `org ${o.id}`, model: prisma.organization, key: { id: o.id } })),
+  ];
+  let rewritten = 0;
+  const missing = [];
+  for (const r of rows) {
+    const name = decodeURIComponent(r.imageUrl.slice(fromBase.length + 1).split(/[?#]/)[0]);
+    if (!available.has(name)) { missing.push(`${r.label} → ${name}`); continue; }
+    const url = publicUrl(name);
+    if (url === r.imageUrl) continue;
+    if (!dryRun) await r.model.update({ where: r.key, data: { imageUrl: url } });
+    rewritten++;
+  }
+
+  // 3) optionally clean up the old folder
+  if (deleteSource && !sameBackend && !dryRun) {
+    for (const f of files) await source.remove(f.name);
+  }
+
+  for (const m of missing) console.warn(`⚠️  file not found for ${m}`);
+  console.log(`✅ ${dryRun ? "[dry run] " : ""}${copied} file(s) copied to ${STORAGE_DRIVER}, ${rewritten} imageUrl(s) rewritten`);
+  await prisma.$disconnect();
+}
+
+main().catch(async (e) => {
+  console.error("❌ Migration failed:", e);
+  await prisma.$disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,32 @@
+/**
+ * SPEX – Purge old analytics events
+ * Deletes Event rows older than EVENT_RETENTION_DAYS (default 395). The API
+ * process does the same once a day; run this from cron when it doesn't.
+ *
+ * Usage:
+ *   node scripts/purge_events.mjs              # delete
+ *   node scripts/purge_events.mjs --dry-run    # only count
+ *   node scripts/purge_events.mjs --days=90    # override the retention period
+ */
+
+import { prisma } from "../src/lib/db.js";
+import { purgeEvents } from "../src/lib/retention.js";
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const daysArg = args.find(a => a.startsWith("--days="));
+const days = daysArg ? Number(daysArg.split("=")[1]) : undefined;
+
+async function main() {
+  if (daysArg && !(days > 0)) throw new Error(`invalid ${daysArg}`);
+  const r = await purgeEvents({ dryRun, ...(daysArg ? { days } : {}) });
+  if (!r.cutoff) console.log("EVENT_RETENTION_DAYS=0 — events are kept forever");
+  else console.log(`✅ ${r.deleted} event(s) older than ${r.cutoff.toISOString()} ${dryRun ? "would be deleted" : "deleted"}`);
+  await prisma.$disconnect();
+}
+
+main().catch(async (e) => {
+  console.error("❌ Purge failed:", e);
+  await prisma.$disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,34 @@
+/**
+ * SPEX – Sweep orphaned uploads
+ * Deletes stored upload files that no Card, Organization or revision imageUrl references and
+ * that are older than UPLOAD_ORPHAN_GRACE_HOURS (default 24).
+ *
+ * Usage:
+ *   node scripts/sweep_uploads.mjs             # delete
+ *   node scripts/sweep_uploads.mjs --dry-run   # only list what would go
+ *   node scripts/sweep_uploads.mjs --grace=0   # ignore file age
+ *
+ * Same thing from the API: POST /api/admin/uploads/sweep { dryRun?, graceHours? }
+ */
+
+import { prisma } from "../src/lib/db.js";
+import { sweepOrphans } from "../src/lib/uploads.js";
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const graceArg = args.find(a => a.startsWith("--grace="));
+const graceHours = graceArg ? Number(graceArg.split("=")[1]) : undefined;
+
+async function main() {
+  if (graceArg && !(graceHours >= 0)) throw new Error(`invalid ${graceArg}`);
+  const r = await sweepOrphans({ dryRun, ...(graceArg ? { graceHours } : {}) });
+  for (const f of r.removed) console.log(`${dryRun ? "would remove" : "removed"} ${f}`);
+  console.log(`✅ ${r.removed.length} orphaned file(s), ${(r.bytes / 1024).toFixed(1)} KiB; kept ${r.kept}`);
+  await prisma.$disconnect();
+}
+
+main().catch(async (e) => {
+  console.error("❌ Sweep failed:", e);
+  await prisma.$disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+/**
+ * SPEX – Local webhook receiver (for testing deliveries)
+ * Prints every POST and checks X-Spex-Signature against the webhook secret.
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=whsec_... node scripts/webhook_receiver.mjs [--port=4000] [--fail=3]
+ *
+ * Register http://localhost:4000/ via POST /api/admin/webhooks.
+ * --fail=N answers 500 to the first N requests to exercise retries.
+ */
+
+import http from "http";
+import crypto from "crypto";
+
+const arg = (name, fallback) => {
+  const a = process.argv.find(x => x.startsWith(`--${name}=`));
+  return a ? a.slice(name.length + 3) : fallback;
+};
+const PORT = Number(arg("port", 4000));
+let failures = Number(arg("fail", 0));
+const SECRET = process.env.WEBHOOK_SECRET || "";
+
+// same scheme as signPayload() in src/lib/webhooks.js
+const sign = (ts, body) =>
+  "sha256=" + crypto.createHmac("sha256", SECRET).update(`${ts}.${body}`).digest("hex");
+
+http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => (body += c));
+  req.on("end", () => {
+    const ts = req.headers["x-spex-timestamp"];
+    const sig = req.headers["x-spex-signature"];
+    const valid = SECRET ? sig === sign(ts, body) : "unchecked (no WEBHOOK_SECRET)";
+    console.log(`\n📬 ${req.headers["x-spex-event"]} #${req.headers["x-spex-delivery"]} signature: ${valid}`);
+    console.log(body);
+
+    if (failures > 0) {
+      failures--;
+      res.writeHead(500).end("simulated failure");
+      return;
+    }
+    res.writeHead(SECRET && valid !== true ? 401 : 200).end("ok");
+  });
+}).listen(PORT, () => console.log(`✅ webhook receiver on http://localhost:${PORT}/`));
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { nanoid } from 'nanoid';
+import { prisma } from './db.js';
+import {
+  JWT_SECRET, CLAIM_TOKEN_TTL_MIN, CLAIM_MAX_ATTEMPTS, CLAIM_LOCKOUT_MIN, CLAIM_ALLOW_LEGACY,
+} from './config.js';
+
+/* ======================  Activation codes  ======================
+ * Every card gets a code like "K7QM-3XWP" at creation; it is printed on the
+ * insert and only its HMAC is stored. Claiming is two steps:
+ *   1. the code unlocks a short-lived claim token (checkActivationCode + issueClaimToken)
+ *   2. POST /api/card/claim spends that token once (verifyClaimToken)
+ * CLAIM_MAX_ATTEMPTS wrong codes lock the card for CLAIM_LOCKOUT_MIN minutes.
+ */
+
+// no 0/O, 1/I/L: codes get typed in from paper
+const ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+export function generateActivationCode() {
+  let s = '';
+  for (let i = 0; i < 8; i++) s += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  return `${s.slice(0, 4)}-${s.slice(4)}`;
+}
+
+/** "k7qm 3xwp" → "K7QM3XWP" (separators and case don't matter) */
+export function normalizeActivationCode(code) {
+  return String(code ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+export function activationHash(uid, code) {
+  return crypto.createHmac('sha256', JWT_SECRET)
+    .update(`${uid}:${normalizeActivationCode(code)}`)
+    .digest('hex');
+}
+
+/** { code, data } — `data` resets the card's activation columns to the new code */
+export function newActivation(uid) {
+  const code = generateActivationCode();
+  return {
+    code,
+    data: { activationHash: activationHash(uid, code), activationFailures: 0, activationLockedUntil: null, claimTokenId: null },
+  };
+}
+
+/**
+ * Check `code` against the card, counting failures.
+ * → { ok: true } | { ok: false, status, error, retryAfter? }
+ */
+export async function checkActivationCode(card, code) {
+  if (card.activationLockedUntil && card.activationLockedUntil > new Date()) {
+    const retryAfter = Math.ceil((card.activationLockedUntil - Date.now()) / 1000);
+    return { ok: false, status: 429, error: 'activation_locked', retryAfter };
+  }
+  if (!card.activationHash) {
+    return CLAIM_ALLOW_LEGACY ? { ok: true } : { ok: false, status: 409, error: 'activation_code_missing' };
+  }
+  if (!normalizeActivationCode(code)) return { ok: false, status: 400, error: 'missing_activation_code' };
+
+  const want = Buffer.from(card.activationHash, 'hex');
+  const got = Buffer.from(activationHash(card.uid, code), 'hex');
+  if (crypto.timingSafeEqual(want, got)) {
+    if (card.activationFailures) {
+      await prisma.card.update({ where: { uid: card.uid }, data: { activationFailures: 0 } });
+    }
+    return { ok: true };
+  }
+
+  const { activationFailures } = await prisma.card.update({
+    where: { uid: card.uid },
+    data: { activationFailures: { increment: 1 } },
+    select: { activationFailures: true },
+  });
+  if (activationFailures >= CLAIM_MAX_ATTEMPTS) {
+    await prisma.card.update({
+      where: { uid: card.uid },
+      data: { activationFailures: 0, activationLockedUntil: new Date(Date.now() + CLAIM_LOCKOUT_MIN * 60_000) },
+    });
+    return { ok: false, status: 429, error: 'activation_locked', retryAfter: CLAIM_LOCKOUT_MIN * 60 };
+  }
+  return { ok: false, status: 403, error: 'invalid_activation_code', attemptsLeft: CLAIM_MAX_ATTEMPTS - activationFailures };
+}
+
+/** Signs a claim token and makes it the only one that can claim `uid` */
+export async function issueClaimToken(uid) {
+  const jti = nanoid(16);
+  await prisma.card.update({ where: { uid }, data: { claimTokenId: jti } });
+  const claimToken = jwt.sign({ uid, purpose: 'claim' }, JWT_SECRET, {
+    jwtid: jti,
+    expiresIn: `${CLAIM_TOKEN_TTL_MIN}m`,
+  });
+  return { claimToken, expiresIn: CLAIM_TOKEN_TTL_MIN * 60 };
+}
+
+/** → token id (jti) to match against Card.claimTokenId, or null */
+export function verifyClaimToken(token, uid) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.purpose === 'claim' && payload.uid === uid && payload.jti ? payload.jti : null;
+  } catch {
+    return null;
+  }
+}
+
+export function sendActivationError(res, { status, error, retryAfter, attemptsLeft }) {
+  if (retryAfter) res.set('Retry-After', String(retryAfter));
+  return res.status(status).json({ error, retryAfter, attemptsLeft });
+}
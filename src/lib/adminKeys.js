@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import { customAlphabet } from 'nanoid';
+import { prisma } from './db.js';
+import { ADMIN_KEY, JWT_SECRET, IS_PRODUCTION, MAIL_TRANSPORT } from './config.js';
+import { log, errorFields } from './log.js';
+
+/* ======================  Admin accounts & API keys  ======================
+ * Admin routes take `x-admin-key: spx_<prefix>_<secret>`. Keys belong to an
+ * AdminUser and carry scopes; a key can only use scopes its user's role allows.
+ * ADMIN_KEY (env) still works as a break-glass root key with every scope.
+ */
+
+export const SCOPES = [
+  'cards:read',      // card list/detail, history, audit
+  'cards:write',     // profile edits, lifecycle, activation codes, admin uploads
+  'batches:read',    // batch list/detail, print packages
+  'batches:create',  // new UIDs/batches, fresh activation codes in print packages
+  'analytics:read',  // stats
+  'uploads:manage',  // orphan sweep
+  'webhooks:manage', // webhook subscriptions and deliveries
+  'orgs:manage',     // organizations, their member cards and managers
+  'admins:manage',   // admin users and keys
+];
+
+export const ROLES = {
+  superadmin: SCOPES,
+  admin:      SCOPES.filter(s => s !== 'admins:manage'),
+  support:    ['cards:read', 'cards:write', 'analytics:read'],
+  vendor:     ['batches:read', 'batches:create'],
+  analyst:    ['cards:read', 'analytics:read'],
+};
+
+const ROOT = { keyId: null, userId: null, name: 'root', role: 'superadmin', scopes: SCOPES };
+
+const keyPrefix = customAlphabet('0123456789abcdefghijklmnopqrstuvwxyz', 8);
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+/** → { key (shown once), prefix, keyHash } */
+export function generateAdminKey() {
+  const prefix = keyPrefix();
+  const key = `spx_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix, keyHash: sha256(key) };
+}
+
+/** scopes ∩ what the role allows; unknown scopes are dropped */
+export function allowedScopes(role, scopes) {
+  const allowed = ROLES[role] || [];
+  return (scopes ?? allowed).filter(s => allowed.includes(s));
+}
+
+function sameSecret(a, b) {
+  const x = crypto.createHmac('sha256', JWT_SECRET).update(String(a)).digest();
+  const y = crypto.createHmac('sha256', JWT_SECRET).update(String(b)).digest();
+  return crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * The admin behind a raw x-admin-key, or null.
+ * → { keyId, userId, name, role, scopes }
+ */
+export async function resolveAdminKey(raw) {
+  if (!raw || typeof raw !== 'string') return null;
+  if (ADMIN_KEY && sameSecret(raw, ADMIN_KEY)) return ROOT;
+  if (!raw.startsWith('spx_')) return null;
+
+  const key = await prisma.adminKey.findUnique({
+    where: { keyHash: sha256(raw) },
+    include: { user: true },
+  });
+  const now = new Date();
+  if (!key || key.revokedAt || key.user.disabledAt) return null;
+  if (key.expiresAt && key.expiresAt <= now) return null;
+
+  // lastUsedAt is informational: write it at most once a minute per key
+  if (!key.lastUsedAt || now - key.lastUsedAt > 60_000) {
+    prisma.adminKey.update({ where: { id: key.id }, data: { lastUsedAt: now } })
+      .catch(e => log.error('admin key lastUsedAt update failed', { keyId: key.id, ...errorFields(e) }));
+  }
+  return {
+    keyId: key.id,
+    userId: key.userId,
+    name: key.user.name,
+    role: key.user.role,
+    scopes: allowedScopes(key.user.role, key.scopes),
+  };
+}
+
+/**
+ * Reasons the server must not start in production (empty list = fine):
+ * the dev JWT secret, the old default admin key, no admin credentials at all,
+ * or the console mail transport (it logs sign-in codes).
+ */
+export async function credentialProblems() {
+  if (!IS_PRODUCTION) return [];
+  const problems = [];
+  if (!process.env.JWT_SECRET || JWT_SECRET === 'dev-secret' || JWT_SECRET.length < 32)
+    problems.push('JWT_SECRET must be set to a random value of at least 32 characters');
+  if (ADMIN_KEY && (ADMIN_KEY === 'diego' || ADMIN_KEY.length < 24))
+    problems.push('ADMIN_KEY is too weak (24+ random characters) — or unset it and use admin API keys');
+  if (MAIL_TRANSPORT === 'console')
+    problems.push('MAIL_TRANSPORT=console logs sign-in codes — set MAIL_TRANSPORT=smtp (or file)');
+  if (!ADMIN_KEY) {
+    const active = await prisma.adminKey.count({
+      where: {
+        revokedAt: null,
+        user: { disabledAt: null },
+        OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+      },
+    });
+    if (!active) problems.push('no admin credentials: set ADMIN_KEY or run `npm run admin:create`');
+  }
+  return problems;
+}
@@ -0,0 +1,218 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from './db.js';
+
+/* ======================  Event analytics  ====================== */
+const DAY = 24 * 60 * 60 * 1000;
+
+/** ?from=&to= (ISO dates) → { from, to }, defaults to the last 30 days, max 1 year */
+export function parseRange(query = {}) {
+  const to = query.to ? new Date(query.to) : new Date();
+  let from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * DAY);
+  if (isNaN(to) || isNaN(from) || from > to) return null;
+  if (to - from > 366 * DAY) from = new Date(to.getTime() - 366 * DAY);
+  return { from, to };
+}
+
+// crawlers, link-preview fetchers (chat apps, social networks) and HTTP libraries
+const BOT_RE = /bot|crawl|spider|preview|slurp|facebookexternalhit|facebookcatalog|meta-externalagent|whatsapp|telegram|slack|discord|skypeuripreview|embedly|vkshare|pinterest|bitlybot|headlesschrome|lighthouse|curl|wget|python-requests|python-urllib|go-http-client|okhttp|java\/|axios|node-fetch|libwww|httpclient/;
+
+/** Crawler or link preview rather than a person */
+export function isBot(ua = '') {
+  return BOT_RE.test(String(ua || '').toLowerCase());
+}
+
+/** Rough device bucket from a User-Agent string */
+export function deviceClass(ua = '') {
+  const s = String(ua || '').toLowerCase();
+  if (!s) return 'unknown';
+  if (isBot(s)) return 'bot';
+  if (/ipad|tablet|kindle|silk|(android(?!.*mobile))/.test(s)) return 'tablet';
+  if (/mobi|iphone|ipod|android|blackberry|opera mini|iemobile/.test(s)) return 'mobile';
+  return 'desktop';
+}
+
+const isoDay = (d) => new Date(d).toISOString().slice(0, 10);
+
+/** Zero-filled daily series between from..to */
+function fillDays(rows, from, to) {
+  const map = new Map();
+  for (const r of rows) {
+    const key = isoDay(r.bucket);
+    const e = map.get(key) || { date: key, total: 0, byKind: {} };
+    e.byKind[r.kind] = r.count;
+    e.total += r.count;
+    map.set(key, e);
+  }
+  const out = [];
+  for (let t = Date.parse(isoDay(from)); t <= to.getTime(); t += DAY) {
+    const key = isoDay(t);
+    out.push(map.get(key) || { date: key, total: 0, byKind: {} });
+  }
+  return out;
+}
+
+function groupBuckets(rows) {
+  const map = new Map();
+  for (const r of rows) {
+    const key = isoDay(r.bucket);
+    const e = map.get(key) || { week: key, total: 0, byKind: {} };
+    e.byKind[r.kind] = r.count;
+    e.total += r.count;
+    map.set(key, e);
+  }
+  return [...map.values()];
+}
+
+/**
+ * Stats for the events matching `uids` (one card, or every card in a group).
+ * Unique visitors are approximate: distinct ip+ua pairs (ips are stored truncated or
+ * hashed, see EVENT_IP_MODE).
+ */
+export async function eventStats(uids, { from, to }, { topAgents = 10 } = {}) {
+  const inUids = uids.length ? Prisma.sql`"uid" IN (${Prisma.join(uids)})` : Prisma.sql`FALSE`;
+  const scope = Prisma.sql`${inUids} AND "createdAt" >= ${from} AND "createdAt" < ${to}`;
+
+  const [byKind, bySource, daily, weekly, uniques, agents] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT "kind", COUNT(*)::int AS "count"
+      FROM "Event" WHERE ${scope}
+      GROUP BY 1 ORDER BY 2 DESC`,
+    prisma.$queryRaw`
+      SELECT coalesce("source", 'direct') AS "source", COUNT(*)::int AS "count"
+      FROM "Event" WHERE ${scope} AND "kind" = 'visit'
+      GROUP BY 1 ORDER BY 2 DESC`,
+    prisma.$queryRaw`
+      SELECT date_trunc('day', "createdAt") AS "bucket", "kind", COUNT(*)::int AS "count"
+      FROM "Event" WHERE ${scope}
+      GROUP BY 1, 2 ORDER BY 1`,
+    prisma.$queryRaw`
+      SELECT date_trunc('week', "createdAt") AS "bucket", "kind", COUNT(*)::int AS "count"
+      FROM "Event" WHERE ${scope}
+      GROUP BY 1, 2 ORDER BY 1`,
+    prisma.$queryRaw`
+      SELECT COUNT(DISTINCT md5(coalesce("ip", '') || '|' || coalesce("ua", '')))::int AS "count"
+      FROM "Event" WHERE ${scope}`,
+    // every distinct agent: `devices` classifies them all, not just the top ones
+    prisma.$queryRaw`
+      SELECT "ua", COUNT(*)::int AS "count"
+      FROM "Event" WHERE ${scope}
+      GROUP BY 1 ORDER BY 2 DESC`,
+  ]);
+
+  const totals = { all: 0, byKind: {} };
+  for (const r of byKind) {
+    totals.byKind[r.kind] = r.count;
+    totals.all += r.count;
+  }
+
+  const devices = {};
+  for (const r of agents) {
+    const d = deviceClass(r.ua);
+    devices[d] = (devices[d] || 0) + r.count;
+  }
+
+  return {
+    range: { from, to },
+    totals,
+    uniqueVisitors: uniques[0]?.count || 0,
+    // visits by scan source (qr | nfc | link; direct = not through /c/:uid)
+    sources: Object.fromEntries(bySource.map(r => [r.source, r.count])),
+    daily: fillDays(daily, from, to),
+    weekly: groupBuckets(weekly),
+    topUserAgents: agents.slice(0, topAgents).map(r => ({
+      ua: r.ua, device: deviceClass(r.ua), count: r.count,
+    })),
+    devices,
+  };
+}
+
+/** Fleet-wide overview: most viewed cards + claim conversion per week */
+export async function fleetSummary({ from, to }, { top = 10 } = {}) {
+  const [cards, claimed, events, topCards, created, claims] = await Promise.all([
+    prisma.card.count(),
+    prisma.card.count({ where: { claimedAt: { not: null } } }),
+    prisma.event.count({ where: { createdAt: { gte: from, lt: to } } }),
+    prisma.$queryRaw`
+      SELECT "uid", COUNT(*)::int AS "views"
+      FROM "Event"
+      WHERE "kind" = 'visit' AND "createdAt" >= ${from} AND "createdAt" < ${to}
+      GROUP BY 1 ORDER BY 2 DESC LIMIT ${top}`,
+    prisma.$queryRaw`
+      SELECT date_trunc('week', "createdAt") AS "bucket", COUNT(*)::int AS "count"
+      FROM "Card" WHERE "createdAt" >= ${from} AND "createdAt" < ${to}
+      GROUP BY 1 ORDER BY 1`,
+    prisma.$queryRaw`
+      SELECT date_trunc('week', "claimedAt") AS "bucket", COUNT(*)::int AS "count"
+      FROM "Card" WHERE "claimedAt" >= ${from} AND "claimedAt" < ${to}
+      GROUP BY 1 ORDER BY 1`,
+  ]);
+
+  const names = await prisma.card.findMany({
+    where: { uid: { in: topCards.map(r => r.uid) } },
+    select: { uid: true, name: true, company: true },
+  });
+  const byUid = new Map(names.map(c => [c.uid, c]));
+
+  const weeks = new Map();
+  for (const r of created) weeks.set(isoDay(r.bucket), { week: isoDay(r.bucket), created: r.count, claimed: 0 });
+  for (const r of claims) {
+    const key = isoDay(r.bucket);
+    const e = weeks.get(key) || { week: key, created: 0, claimed: 0 };
+    e.claimed = r.count;
+    weeks.set(key, e);
+  }
+
+  return {
+    range: { from, to },
+    totals: {
+      cards,
+      claimed,
+      claimRate: cards ? +(claimed / cards).toFixed(4) : 0,
+      events,
+    },
+    topCards: topCards.map(r => ({
+      uid: r.uid,
+      name: byUid.get(r.uid)?.name ?? null,
+      company: byUid.get(r.uid)?.company ?? null,
+      views: r.views,
+    })),
+    claimConversion: [...weeks.values()].sort((a, b) => a.week.localeCompare(b.week)),
+  };
+}
+
+/** Org overview: event stats over all member cards, claim/lead totals and its most viewed cards */
+export async function orgSummary(orgId, { from, to }, { top = 10 } = {}) {
+  const cards = await prisma.card.findMany({
+    where: { orgId },
+    select: { uid: true, name: true, title: true, claimedAt: true },
+  });
+  const uids = cards.map(c => c.uid);
+
+  const [events, topCards, leads] = await Promise.all([
+    eventStats(uids, { from, to }),
+    uids.length ? prisma.$queryRaw`
+      SELECT "uid", COUNT(*)::int AS "views"
+      FROM "Event"
+      WHERE "kind" = 'visit' AND "uid" IN (${Prisma.join(uids)}) AND "createdAt" >= ${from} AND "createdAt" < ${to}
+      GROUP BY 1 ORDER BY 2 DESC LIMIT ${top}` : [],
+    prisma.lead.count({ where: { uid: { in: uids }, createdAt: { gte: from, lt: to } } }),
+  ]);
+
+  const byUid = new Map(cards.map(c => [c.uid, c]));
+  const claimed = cards.filter(c => c.claimedAt).length;
+  return {
+    ...events,
+    members: {
+      cards: cards.length,
+      claimed,
+      claimRate: cards.length ? +(claimed / cards.length).toFixed(4) : 0,
+    },
+    leads,
+    topCards: topCards.map(r => ({
+      uid: r.uid,
+      name: byUid.get(r.uid)?.name ?? null,
+      title: byUid.get(r.uid)?.title ?? null,
+      views: r.views,
+    })),
+  };
+}
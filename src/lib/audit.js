@@ -0,0 +1,13 @@
+import { prisma } from './db.js';
+import { adminActor } from './auth.js';
+
+/**
+ * Record an admin-side change. Pass `tx` to write inside a transaction.
+ * @param {import('express').Request} req
+ * @param {{ uid?: string, action: string, data?: object }} entry
+ */
+export function audit(req, { uid = null, action, data = null }, tx = prisma) {
+  return tx.auditLog.create({
+    data: { uid, action, actor: adminActor(req), keyId: req.admin?.keyId ?? null, ip: req.ip, data },
+  });
+}
@@ -0,0 +1,135 @@
+import jwt from 'jsonwebtoken';
+import { prisma } from './db.js';
+import { resolveAdminKey } from './adminKeys.js';
+import { JWT_SECRET } from './config.js';
+import { log, errorFields } from './log.js';
+
+/* ======================  Auth helpers  ====================== */
+export function normalizeEmail(email) {
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+}
+
+/**
+ * Owner token. `uid` is set for tokens issued by the claim route,
+ * `email` only for tokens from the sign-in flow, once the mailed code proved
+ * the address (covers every card the email owns).
+ * `v` pins a uid token to the card's tokenVersion.
+ */
+export function signOwnerToken({ uid, email, v }) {
+  const payload = {};
+  if (uid) payload.uid = uid;
+  if (uid && v) payload.v = v;
+  if (email) payload.email = normalizeEmail(email);
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: '90d' });
+}
+
+/** The admin behind x-admin-key (cached on req.admin), or null */
+export async function resolveAdmin(req) {
+  if (req.admin === undefined) req.admin = await resolveAdminKey(req.headers['x-admin-key']);
+  return req.admin;
+}
+
+// every authenticated admin request is logged with the key that made it
+function logAdminAccess(req, res) {
+  res.on('finish', () => {
+    prisma.adminAccess.create({
+      data: {
+        keyId: req.admin.keyId,
+        actor: req.admin.name,
+        method: req.method,
+        path: req.originalUrl.split('?')[0].slice(0, 500),
+        status: res.statusCode,
+        ip: req.ip,
+      },
+    }).catch(e => log.error('admin access log failed', { requestId: req.id, ...errorFields(e) }));
+  });
+}
+
+/**
+ * Admin key with every listed scope (see SCOPES in adminKeys.js).
+ * 401 admin_only without a valid key, 403 missing_scope otherwise.
+ */
+export function requireAdmin(...scopes) {
+  return async (req, res, next) => {
+    const admin = await resolveAdmin(req);
+    if (!admin) return res.status(401).json({ error: 'admin_only' });
+    logAdminAccess(req, res);
+    const missing = scopes.find(s => !admin.scopes.includes(s));
+    if (missing) return res.status(403).json({ error: 'missing_scope', scope: missing });
+    return next();
+  };
+}
+
+/**
+ * Who is acting on an admin route: the key's admin user ("root" for ADMIN_KEY),
+ * or the signed-in org manager on org routes.
+ */
+export function adminActor(req) {
+  return req.admin?.name || req.user?.email || 'admin';
+}
+
+export function requireAuth(req, res, next) {
+  const raw = req.headers.authorization || '';
+  const token = raw.startsWith('Bearer ') ? raw.slice(7) : null;
+  if (!token) return res.status(401).json({ error: 'no_token' });
+  try {
+    req.user = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return res.status(401).json({ error: 'bad_token' });
+  }
+  // returned so an async `next` (requireOwner ...) can reject into the error handler
+  return next();
+}
+
+/**
+ * The card if the verified token may edit `uid`, else null.
+ * uid tokens must match the card's tokenVersion; email tokens the current claimedByEmail.
+ */
+export async function loadOwnedCard(user, uid) {
+  if (!user || (!user.uid && !user.email)) return null;
+  const card = await prisma.card.findUnique({ where: { uid } });
+  if (!card?.claimedAt) return null;
+  if (user.uid === uid && (user.v || 0) === card.tokenVersion) return card;
+  if (user.email && normalizeEmail(card.claimedByEmail) === user.email) return card;
+  return null;
+}
+
+/** requireAuth + ownership of `req.params.uid` (sets req.card) */
+export function requireOwner(req, res, next) {
+  return requireAuth(req, res, async () => {
+    const card = await loadOwnedCard(req.user, req.params.uid);
+    if (!card) return res.status(403).json({ error: 'forbidden' });
+    if (card.suspendedAt) return res.status(410).json({ error: 'card_inactive' });
+    req.card = card;
+    next();
+  });
+}
+
+/** Admin key with `scope` if one is sent, else an owner token for `req.params.uid` */
+export function requireOwnerOrAdmin(scope) {
+  const admin = requireAdmin(scope);
+  return (req, res, next) => (req.headers['x-admin-key'] ? admin(req, res, next) : requireOwner(req, res, next));
+}
+
+/**
+ * Admin key with `scope` if one is sent, else a sign-in token whose email
+ * manages org `req.params.id`. Sets req.org.
+ */
+export function requireOrgManager(scope) {
+  const admin = requireAdmin(scope);
+  const load = async (req, res, next) => {
+    const org = await prisma.organization.findUnique({ where: { id: Number(req.params.id) } });
+    if (!org) return res.status(404).json({ error: 'not_found' });
+    req.org = org;
+    next();
+  };
+  return (req, res, next) => {
+    if (req.headers['x-admin-key']) return admin(req, res, () => load(req, res, next));
+    return requireAuth(req, res, async () => {
+      const email = normalizeEmail(req.user.email);
+      const manages = email && await prisma.orgManager.count({ where: { orgId: Number(req.params.id), email } });
+      if (!manages) return res.status(403).json({ error: 'forbidden' });
+      return load(req, res, next);
+    });
+  };
+}
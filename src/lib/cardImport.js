@@ -0,0 +1,175 @@
+import { nanoid } from 'nanoid';
+import { prisma } from './db.js';
+import { normalizeEmail } from './auth.js';
+import { audit } from './audit.js';
+import { newActivation } from './activation.js';
+import { parseCsv, uninert } from './csv.js';
+import { stripInherited } from './orgs.js';
+import { CONTACT_FIELDS, patchProfile, profileData, profileOf } from './profile.js';
+import { validateProfile, isValidEmail, SOCIAL_NETWORKS } from './profileSchema.js';
+import { recordRevision, diffProfiles } from './revisions.js';
+import { enqueueWebhook, enqueueCardUpdated } from './webhooks.js';
+
+/* ======================  CSV import  ======================
+ * Pre-provisions card profiles from a spreadsheet (POST /api/admin/cards/import,
+ * scripts/import_cards.mjs). One row per card, header names are case-insensitive:
+ *
+ *   uid            existing card to update; blank creates a new card (with activation code)
+ *   owner_email    optional: the card is claimed for this email, who then signs in
+ *                  through /api/auth/login instead of activating it
+ *   name, company, title, mobile, phone, email, website, address
+ *   phones, emails, urls, addresses, links     "label: value; label: value" (as exported)
+ *   linkedin, x, github, ...                   socials, one column per network
+ *
+ * Blank cells leave an existing card's value alone. The export-only columns of
+ * the QR sheet (claimed, url, vcard) are ignored, so an export can be edited
+ * and imported again.
+ */
+
+export const IMPORT_MAX_ROWS = 1000;
+
+const FLAT_COLUMNS = ['name', 'company', 'title', 'mobile', 'phone', 'email', 'website', 'address'];
+const EXPORT_ONLY = ['claimed', 'url', 'vcard'];
+const LIST_KEY = { phones: 'number', emails: 'address', urls: 'url', addresses: 'street', links: 'url' };
+
+// "Owner Email" / "owner_email" / "ownerEmail" → "owneremail"
+const columnKey = (h) => String(h).trim().toLowerCase().replace(/[\s_-]+/g, '');
+
+const COLUMNS = new Map([
+  ['uid', { kind: 'uid' }],
+  ['owneremail', { kind: 'owner' }],
+  ...FLAT_COLUMNS.map(f => [f, { kind: 'field', field: f }]),
+  ...CONTACT_FIELDS.map(f => [f, { kind: 'list', field: f }]),
+  ...Object.keys(SOCIAL_NETWORKS).map(n => [n, { kind: 'social', field: n }]),
+]);
+
+/** "work: +1 415 555 0100; home: +1 415 555 0101" → [{ label, number }, ...] */
+function listCell(field, cell) {
+  const key = LIST_KEY[field];
+  return cell.split(';').map(s => s.trim()).filter(Boolean).map((s) => {
+    const i = s.indexOf(': ');
+    return i > 0 ? { label: s.slice(0, i).trim(), [key]: s.slice(i + 2).trim() } : { [key]: s };
+  });
+}
+
+/**
+ * CSV text → { ok: true, rows: [{ row, uid, ownerEmail, patch }], ignored }
+ *          | { ok: false, error } (empty_csv | no_rows | too_many_rows)
+ * `row` counts data rows from 1; `patch` is a merge patch of the non-blank cells.
+ */
+export function parseImport(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) return { ok: false, error: 'empty_csv' };
+  if (!lines.length) return { ok: false, error: 'no_rows' };
+  if (lines.length > IMPORT_MAX_ROWS) return { ok: false, error: 'too_many_rows', max: IMPORT_MAX_ROWS };
+
+  const columns = header.map(h => COLUMNS.get(columnKey(h)) || null);
+  const ignored = header.filter((h, i) => !columns[i] && h.trim() && !EXPORT_ONLY.includes(columnKey(h)));
+
+  const rows = lines.map((cells, i) => {
+    const out = { row: i + 1, uid: null, ownerEmail: null, patch: {} };
+    columns.forEach((col, j) => {
+      const cell = uninert((cells[j] ?? '').trim());
+      if (!col || !cell) return;
+      if (col.kind === 'uid') out.uid = cell;
+      else if (col.kind === 'owner') out.ownerEmail = cell;
+      else if (col.kind === 'field') out.patch[col.field] = cell;
+      else if (col.kind === 'list') out.patch[col.field] = listCell(col.field, cell);
+      else out.patch.socials = { ...out.patch.socials, [col.field]: cell };
+    });
+    return out;
+  });
+  return { ok: true, rows, ignored };
+}
+
+/**
+ * Check every row against the database without writing anything.
+ * → { ok, summary: { create, update, unchanged, error }, rows: [report], plan }
+ * report: { row, action: create | update | unchanged | error, uid?, ownerEmail?, changes?, errors? }
+ * `plan` is what applyImport() writes; only apply it when `ok`.
+ */
+export async function planImport(rows) {
+  const uids = rows.map(r => r.uid).filter(Boolean);
+  const cards = await prisma.card.findMany({ where: { uid: { in: uids } }, include: { org: true } });
+  const byUid = new Map(cards.map(c => [c.uid, c]));
+  const seen = new Set();
+
+  const report = [];
+  const plan = [];
+  for (const r of rows) {
+    const errors = [];
+    const card = r.uid ? byUid.get(r.uid) : null;
+    if (r.uid && seen.has(r.uid)) errors.push({ field: 'uid', code: 'duplicate_uid' });
+    else if (r.uid && !card) errors.push({ field: 'uid', code: 'unknown_uid' });
+    else if (card?.suspendedAt) errors.push({ field: 'uid', code: 'card_inactive' });
+    if (r.uid) seen.add(r.uid);
+    if (!r.uid && !r.ownerEmail && !Object.keys(r.patch).length) errors.push({ field: 'row', code: 'empty_row' });
+
+    let ownerEmail = null;
+    if (r.ownerEmail && !isValidEmail(r.ownerEmail)) errors.push({ field: 'owner_email', code: 'invalid_email' });
+    else if (r.ownerEmail) ownerEmail = normalizeEmail(r.ownerEmail);
+    if (ownerEmail && card?.claimedAt && normalizeEmail(card.claimedByEmail) !== ownerEmail)
+      errors.push({ field: 'owner_email', code: 'claimed_by_other' });
+
+    const checked = validateProfile(card ? patchProfile(card, r.patch) : r.patch);
+    if (!checked.ok) errors.push(...checked.errors);
+
+    if (errors.length) {
+      report.push({ row: r.row, action: 'error', ...(r.uid ? { uid: r.uid } : {}), errors });
+      continue;
+    }
+
+    const data = profileData(card ? stripInherited(checked.profile, card.org) : checked.profile, card);
+    const claim = !!ownerEmail && !card?.claimedAt;
+    const changes = diffProfiles(profileOf(card || {}), profileOf(data)).map(c => c.field);
+    const action = !card ? 'create' : changes.length || claim ? 'update' : 'unchanged';
+    report.push({ row: r.row, action, ...(card ? { uid: card.uid } : {}), ...(ownerEmail ? { ownerEmail } : {}), changes });
+    if (action !== 'unchanged') plan.push({ row: r.row, action, card, data, ownerEmail: claim ? ownerEmail : null });
+  }
+
+  const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+  for (const r of report) summary[r.action]++;
+  return { ok: !summary.error, summary, rows: report, plan };
+}
+
+/**
+ * Write a checked plan in one transaction: all rows or none. New cards join
+ * `batchId`. A card that changed since planImport() read it aborts the import
+ * (Prisma P2025).
+ * → [{ row, action: created | updated, uid, activationCode? }]; activation codes are only shown here
+ */
+export function applyImport(req, plan, { batchId = null } = {}) {
+  return prisma.$transaction(async (tx) => {
+    const out = [];
+    for (const { row, action, card, data, ownerEmail } of plan) {
+      const claim = ownerEmail ? { claimedAt: new Date(), claimedByEmail: ownerEmail, claimTokenId: null } : {};
+      let after;
+      let activationCode;
+      if (action === 'create') {
+        const uid = nanoid(10);
+        const activation = newActivation(uid);
+        activationCode = activation.code;
+        after = await tx.card.create({ data: { uid, batchId, ...activation.data, ...data, ...claim } });
+      } else {
+        after = await tx.card.update({ where: { uid: card.uid, updatedAt: card.updatedAt }, data: { ...data, ...claim } });
+        await enqueueCardUpdated(tx, { before: card, after, source: 'import' });
+      }
+      await recordRevision(tx, { uid: after.uid, before: card, after, source: 'import', req });
+      if (ownerEmail) {
+        await enqueueWebhook(tx, 'card.claimed', {
+          uid: after.uid, claimedAt: after.claimedAt, claimedByEmail: after.claimedByEmail, profile: profileOf(after),
+        });
+      }
+      out.push({ row, action: action === 'create' ? 'created' : 'updated', uid: after.uid, ...(activationCode ? { activationCode } : {}) });
+    }
+    await audit(req, {
+      action: 'cards.import',
+      data: {
+        batchId,
+        created: out.filter(r => r.action === 'created').map(r => r.uid),
+        updated: out.filter(r => r.action === 'updated').map(r => r.uid),
+      },
+    }, tx);
+    return out;
+  }, { timeout: 120_000 });
+}
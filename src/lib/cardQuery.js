@@ -0,0 +1,101 @@
+/* ======================  Admin card listing  ======================
+ * Turns the query string of GET /api/admin/cards into Prisma args.
+ *
+ *   q               free text over name, company, email, claimedByEmail, uid, slug
+ *   claimed         true | false
+ *   hasImage        true | false
+ *   suspended       true | false
+ *   claimedByEmail  exact match (case-insensitive)
+ *   batch           <id> | none
+ *   org             <id> | none
+ *   createdFrom/createdTo, claimedFrom/claimedTo, updatedFrom/updatedTo  ISO dates
+ *   sort            createdAt | updatedAt | claimedAt | name | company | uid  (default createdAt)
+ *   order           asc | desc  (default desc)
+ *   take, cursor    cursor = nextCursor from the previous page (skip still works)
+ */
+export const SORT_FIELDS = ['createdAt', 'updatedAt', 'claimedAt', 'name', 'company', 'uid'];
+const NULLABLE = new Set(['claimedAt', 'name', 'company']);
+
+function bool(v) {
+  if (v == null || v === '') return undefined;
+  if (['1', 'true', 'yes'].includes(String(v).toLowerCase())) return true;
+  if (['0', 'false', 'no'].includes(String(v).toLowerCase())) return false;
+  return null;
+}
+
+function date(v) {
+  if (v == null || v === '') return undefined;
+  const d = new Date(v);
+  return isNaN(d) ? null : d;
+}
+
+function range(query, field) {
+  const from = date(query[`${field}From`]);
+  const to = date(query[`${field}To`]);
+  if (from === null || to === null) return null;
+  if (!from && !to) return undefined;
+  return { ...(from ? { gte: from } : {}), ...(to ? { lt: to } : {}) };
+}
+
+/** → { ok: true, where, orderBy } or { ok: false, error } */
+export function parseCardQuery(query = {}) {
+  const and = [];
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q) {
+    and.push({
+      OR: ['name', 'company', 'email', 'claimedByEmail', 'uid', 'slug']
+        .map(f => ({ [f]: { contains: q, mode: 'insensitive' } })),
+    });
+  }
+
+  const claimed = bool(query.claimed);
+  if (claimed === null) return { ok: false, error: 'invalid_claimed' };
+  if (claimed !== undefined) and.push({ claimedAt: claimed ? { not: null } : null });
+
+  const hasImage = bool(query.hasImage);
+  if (hasImage === null) return { ok: false, error: 'invalid_hasImage' };
+  if (hasImage === true) and.push({ imageUrl: { not: null } }, { NOT: { imageUrl: '' } });
+  if (hasImage === false) and.push({ OR: [{ imageUrl: null }, { imageUrl: '' }] });
+
+  const suspended = bool(query.suspended);
+  if (suspended === null) return { ok: false, error: 'invalid_suspended' };
+  if (suspended !== undefined) and.push({ suspendedAt: suspended ? { not: null } : null });
+
+  if (query.claimedByEmail) {
+    and.push({ claimedByEmail: { equals: String(query.claimedByEmail).trim(), mode: 'insensitive' } });
+  }
+
+  if (query.batch === 'none') and.push({ batchId: null });
+  else if (query.batch != null && query.batch !== '') {
+    const batchId = Number(query.batch);
+    if (!Number.isInteger(batchId)) return { ok: false, error: 'invalid_batch' };
+    and.push({ batchId });
+  }
+
+  if (query.org === 'none') and.push({ orgId: null });
+  else if (query.org != null && query.org !== '') {
+    const orgId = Number(query.org);
+    if (!Number.isInteger(orgId)) return { ok: false, error: 'invalid_org' };
+    and.push({ orgId });
+  }
+
+  for (const field of ['createdAt', 'claimedAt', 'updatedAt']) {
+    const r = range(query, field.replace(/At$/, ''));
+    if (r === null) return { ok: false, error: `invalid_${field.replace(/At$/, '')}_range` };
+    if (r) and.push({ [field]: r });
+  }
+
+  const sort = query.sort || 'createdAt';
+  if (!SORT_FIELDS.includes(sort)) return { ok: false, error: 'invalid_sort' };
+  const order = String(query.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) return { ok: false, error: 'invalid_order' };
+
+  // uid breaks ties so cursor pages never skip or repeat rows
+  const orderBy = [
+    { [sort]: NULLABLE.has(sort) ? { sort: order, nulls: 'last' } : order },
+    ...(sort === 'uid' ? [] : [{ uid: order }]),
+  ];
+
+  return { ok: true, where: and.length ? { AND: and } : {}, orderBy };
+}
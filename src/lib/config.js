@@ -0,0 +1,122 @@
+import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+/* ======================  Environment  ====================== */
+export const PORT = process.env.PORT || 8080;
+export const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret';
+export const FRONTEND_BASE = (process.env.FRONTEND_BASE || 'http://localhost:3000').replace(/\/$/, '');
+export const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
+export const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+// break-glass root key; normal access goes through admin API keys (npm run admin:create)
+export const ADMIN_KEY = process.env.ADMIN_KEY || '';
+export const PROFILE_ROUTE = process.env.PROFILE_ROUTE || '/u';
+// browser origins allowed to call the API (comma-separated; "*" allows any)
+export const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'https://spexcard.com,https://www.spexcard.com')
+  .split(',').map(s => s.trim().replace(/\/$/, '')).filter(Boolean);
+// JSON log lines at or above this level: debug | info | warn | error
+export const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+// SIGTERM: stop taking connections, let running requests finish for up to this long
+export const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10_000;
+// behind a proxy: hop count or "true" so req.ip (and per-IP limits) see the client address
+export const TRUST_PROXY = /^\d+$/.test(process.env.TRUST_PROXY || '')
+  ? Number(process.env.TRUST_PROXY)
+  : process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY || false;
+
+// uploads
+export const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local'; // local | s3
+// public (or CDN) base that stored file names are appended to
+export const STORAGE_PUBLIC_BASE = (process.env.STORAGE_PUBLIC_BASE || `${BASE_URL}/uploads`).replace(/\/$/, '');
+// hand out short-lived signed URLs instead of the public ones (private bucket / protected /uploads)
+export const STORAGE_SIGNED_URLS = process.env.STORAGE_SIGNED_URLS === 'true';
+export const STORAGE_SIGNED_TTL_SEC = Number(process.env.STORAGE_SIGNED_TTL_SEC) || 3600;
+export const UPLOAD_DIR = path.resolve(ROOT, process.env.UPLOAD_DIR || 'uploads');
+export const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB) || 5;
+// orphan sweep leaves files younger than this alone (not yet saved to a profile)
+export const UPLOAD_ORPHAN_GRACE_HOURS = Number(process.env.UPLOAD_ORPHAN_GRACE_HOURS) || 24;
+
+// S3-compatible storage (AWS, MinIO: S3_ENDPOINT=http://localhost:9000 S3_FORCE_PATH_STYLE=true)
+export const S3_BUCKET = process.env.S3_BUCKET || '';
+export const S3_REGION = process.env.S3_REGION || 'us-east-1';
+export const S3_ENDPOINT = process.env.S3_ENDPOINT || '';
+export const S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || '';
+export const S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || '';
+export const S3_FORCE_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE === 'true';
+export const S3_PREFIX = (process.env.S3_PREFIX || '').replace(/^\/+/, '');
+
+// profile validation
+export const PHONE_DEFAULT_REGION = process.env.PHONE_DEFAULT_REGION || 'PH';
+// imageUrl must start with one of these (comma-separated); defaults to the storage base
+export const UPLOAD_ORIGINS = (process.env.UPLOAD_ORIGINS || `${STORAGE_PUBLIC_BASE}/`)
+  .split(',').map(s => s.trim()).filter(Boolean);
+
+// rate limiting: "<max>/<window seconds>" per key; RATE_LIMIT_STORE=postgres shares counters across instances
+export const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory'; // memory | postgres
+export const RATE_LIMITS = {
+  eventIp:     process.env.RATE_LIMIT_EVENT_IP || '120/60',
+  eventUid:    process.env.RATE_LIMIT_EVENT_UID || '600/60',
+  uploadIp:    process.env.RATE_LIMIT_UPLOAD_IP || '20/3600',
+  uploadUid:   process.env.RATE_LIMIT_UPLOAD_UID || '30/3600',
+  claimIp:     process.env.RATE_LIMIT_CLAIM_IP || '10/900',
+  claimUid:    process.env.RATE_LIMIT_CLAIM_UID || '10/900',
+  leadIp:      process.env.RATE_LIMIT_LEAD_IP || '5/600',
+  leadUid:     process.env.RATE_LIMIT_LEAD_UID || '50/3600',
+  loginIp:     process.env.RATE_LIMIT_LOGIN_IP || '10/900',
+  loginEmail:  process.env.RATE_LIMIT_LOGIN_EMAIL || '5/3600',
+  verifyIp:    process.env.RATE_LIMIT_VERIFY_IP || '20/900',
+  verifyEmail: process.env.RATE_LIMIT_VERIFY_EMAIL || '10/3600',
+};
+
+// POST /api/event
+export const EVENT_KINDS = (process.env.EVENT_KINDS || 'visit,vcard,call,email,website,social,share')
+  .split(',').map(s => s.trim()).filter(Boolean);
+// same client + card + kind inside this window counts once (0 = off)
+export const EVENT_DEDUPE_SEC = Number(process.env.EVENT_DEDUPE_SEC ?? 1800);
+// visitor IPs on Event rows: truncate (IPv4 /24, IPv6 /48) | hash (keyed, still groups a client) | full
+export const EVENT_IP_MODE = process.env.EVENT_IP_MODE || 'truncate';
+export const IP_HASH_SECRET = process.env.IP_HASH_SECRET || JWT_SECRET;
+// events older than this are purged daily by the API process and by scripts/purge_events.mjs (0 = keep forever)
+export const EVENT_RETENTION_DAYS = Number(process.env.EVENT_RETENTION_DAYS ?? 395);
+
+// short scan links GET /c/:uid?src=qr|nfc|link (record the scan, then redirect to the microsite)
+export const SCAN_BASE = (process.env.SCAN_BASE || BASE_URL).replace(/\/$/, '');
+export const SCAN_SOURCES = ['qr', 'nfc', 'link'];
+
+// QR endpoint: logo used for ?logo=brand
+export const QR_LOGO_PATH = process.env.QR_LOGO_PATH || '';
+
+// claiming: activation code checks and the claim token they unlock
+export const CLAIM_TOKEN_TTL_MIN = Number(process.env.CLAIM_TOKEN_TTL_MIN) || 15;
+export const CLAIM_MAX_ATTEMPTS = Number(process.env.CLAIM_MAX_ATTEMPTS) || 5;
+export const CLAIM_LOCKOUT_MIN = Number(process.env.CLAIM_LOCKOUT_MIN) || 15;
+// cards created before activation codes existed can be claimed without one
+export const CLAIM_ALLOW_LEGACY = process.env.CLAIM_ALLOW_LEGACY === 'true';
+
+// vanity slugs: extra reserved words (comma-separated) on top of the built-in list
+export const RESERVED_SLUGS = (process.env.RESERVED_SLUGS || '')
+  .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+// earlier slugs kept redirecting per card; older ones are released for anyone to take
+export const SLUG_MAX_REDIRECTS = Number(process.env.SLUG_MAX_REDIRECTS) || 5;
+
+// lead capture: owners are emailed about new leads unless they opt out (or LEAD_NOTIFY=false)
+export const LEAD_NOTIFY = process.env.LEAD_NOTIFY !== 'false';
+export const LEADS_ROUTE = process.env.LEADS_ROUTE || '/dashboard/leads';
+
+// outgoing webhooks (outbox worker runs inside the API process)
+export const WEBHOOK_POLL_MS = Number(process.env.WEBHOOK_POLL_MS) || 5000;
+export const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10_000;
+export const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+export const WEBHOOK_WORKER = process.env.WEBHOOK_WORKER !== 'false';
+
+// owner sign-in (magic link / one-time code)
+export const LOGIN_ROUTE = process.env.LOGIN_ROUTE || '/login';
+export const LOGIN_CODE_TTL_MIN = Number(process.env.LOGIN_CODE_TTL_MIN) || 15;
+export const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+
+// mail
+export const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console'; // console | file | smtp
+export const MAIL_FROM = process.env.MAIL_FROM || 'SPEX <no-reply@spexcard.com>';
+export const MAIL_OUT_DIR = process.env.MAIL_OUT_DIR || './mail_out';
+export const SMTP_URL = process.env.SMTP_URL || '';
@@ -0,0 +1,81 @@
+import QRCode from 'qrcode';
+import { QR_DEFAULTS } from './qr.js';
+
+/* ======================  Contact sheet (SVG)  ======================
+ * A4 portrait pages in millimetres: a 3 × 4 grid of 50 mm QR codes,
+ * each labelled with its UID, with crop marks at every cell corner.
+ */
+const PAGE = { w: 210, h: 297 };
+const COLS = 3;
+const ROWS = 4;
+const CELL = { w: 62, h: 68 };
+const QR_MM = 50;
+const MARK = 4; // crop mark arm length (mm)
+
+export const PER_PAGE = COLS * ROWS;
+
+const esc = (s) => String(s)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function cropMarks(x0, y0) {
+  const out = [];
+  for (let c = 0; c <= COLS; c++) {
+    for (let r = 0; r <= ROWS; r++) {
+      const x = x0 + c * CELL.w;
+      const y = y0 + r * CELL.h;
+      out.push(
+        `<line x1="${x - MARK}" y1="${y}" x2="${x + MARK}" y2="${y}"/>`,
+        `<line x1="${x}" y1="${y - MARK}" x2="${x}" y2="${y + MARK}"/>`,
+      );
+    }
+  }
+  return `<g stroke="#000" stroke-width="0.15">${out.join('')}</g>`;
+}
+
+/**
+ * Build one SVG page per PER_PAGE items.
+ * @param {{ label: string, text: string }[]} items  label under the QR, text encoded in it
+ * @returns {Promise<string[]>}
+ */
+export async function buildContactSheets(items, { title = '' } = {}) {
+  const x0 = (PAGE.w - COLS * CELL.w) / 2;
+  const y0 = (PAGE.h - ROWS * CELL.h) / 2;
+  const pages = [];
+
+  for (let p = 0; p * PER_PAGE < items.length; p++) {
+    const slice = items.slice(p * PER_PAGE, (p + 1) * PER_PAGE);
+    const cells = [];
+    for (let i = 0; i < slice.length; i++) {
+      const col = i % COLS;
+      const row = Math.floor(i / COLS);
+      const cx = x0 + col * CELL.w;
+      const cy = y0 + row * CELL.h;
+      const qx = cx + (CELL.w - QR_MM) / 2;
+      const qy = cy + 4;
+
+      const svg = await QRCode.toString(slice[i].text, {
+        type: 'svg',
+        margin: QR_DEFAULTS.margin,
+        errorCorrectionLevel: QR_DEFAULTS.errorCorrectionLevel,
+        color: QR_DEFAULTS.color,
+      });
+      cells.push(
+        svg.trim().replace('<svg ', `<svg x="${qx}" y="${qy}" width="${QR_MM}" height="${QR_MM}" `),
+        `<text x="${cx + CELL.w / 2}" y="${qy + QR_MM + 6}" text-anchor="middle"`
+          + ` font-family="monospace" font-size="4">${esc(slice[i].label)}</text>`,
+      );
+    }
+
+    const footer = [title, `page ${p + 1} / ${Math.ceil(items.length / PER_PAGE)}`].filter(Boolean).join(' · ');
+    pages.push([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${PAGE.w}mm" height="${PAGE.h}mm" viewBox="0 0 ${PAGE.w} ${PAGE.h}">`,
+      `<rect width="${PAGE.w}" height="${PAGE.h}" fill="#fff"/>`,
+      cropMarks(x0, y0),
+      ...cells,
+      `<text x="${PAGE.w / 2}" y="${PAGE.h - 5}" text-anchor="middle" font-family="sans-serif" font-size="3" fill="#666">${esc(footer)}</text>`,
+      '</svg>',
+    ].join('\n'));
+  }
+  return pages;
+}
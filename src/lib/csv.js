@@ -0,0 +1,95 @@
+import { buildVCard } from './vcard.js';
+import { contactsOf, formatAddress } from './profile.js';
+import { applyPrivacy } from './privacy.js';
+
+/* ======================  CSV helpers  ====================== */
+/**
+ * User-supplied text for a spreadsheet: a leading = + - @ tab or CR would be
+ * run as a formula, so it gets a ' in front. Plain E.164 numbers stay as they are.
+ */
+export const inert = (s) => (s && /^[=+\-@\t\r]/.test(s) && !/^\+\d+$/.test(s) ? `'${s}` : s || '');
+
+/** Undo inert() on a cell read back from an exported sheet */
+export const uninert = (s) => (/^'[=+\-@\t\r]/.test(s) ? s.slice(1) : s);
+
+export function toCsvRow(vals) {
+  return vals
+    .map((v) => {
+      const s = (v ?? '').toString();
+      return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    })
+    .join(',') + '\n';
+}
+
+/**
+ * RFC 4180 text → array of rows (arrays of strings). Quoted fields may hold
+ * commas, quotes ("") and line breaks. A leading BOM and blank lines are
+ * dropped; the delimiter is ";" when the header line has no comma (Excel in
+ * many locales).
+ */
+export function parseCsv(text) {
+  const src = String(text ?? '').replace(/^\uFEFF/, '');
+  const firstLine = src.slice(0, src.search(/\r?\n|$/));
+  const delim = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delim) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) rows.push([...row, field]);
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+/** Columns of the QR sheet (scripts/export_qr_sheet.mjs, print package) */
+export const SHEET_HEADER = [
+  'uid', 'claimed', 'url',
+  'name', 'company', 'title', 'mobile', 'phone', 'email', 'website', 'address',
+  'vcard',
+  'phones', 'emails', 'urls', 'addresses', 'links',
+];
+
+// "label: value; label: value" (addresses on one line)
+const listCell = (list, value) => list.map(e => `${e.label ? `${e.label}: ` : ''}${value(e)}`).join('; ');
+
+/** One QR sheet row for a Card; `url` is the link printed for that card. Owner text goes through inert(). */
+export function sheetRow(c, url) {
+  const claimed = !!c.claimedAt || !!(c.name || c.mobile || c.email || c.imageUrl);
+  // the column feeds printed QR codes, so it follows the owner's privacy settings
+  const vcard = claimed ? buildVCard(applyPrivacy(c, 'vcard'), { socials: false }) : '';
+  const lists = contactsOf(c);
+  return [
+    c.uid,
+    claimed ? 'yes' : 'no',
+    url,
+    ...[c.name, c.company, c.title, c.mobile, c.phone, c.email, c.website, c.address].map(inert),
+    vcard,
+    ...[
+      listCell(lists.phones, e => e.number),
+      listCell(lists.emails, e => e.address),
+      listCell(lists.urls, e => e.url),
+      listCell(lists.addresses, e => (formatAddress(e) || '').replace(/\n/g, ', ')),
+      listCell(lists.links, e => e.url),
+    ].map(inert),
+  ];
+}
@@ -0,0 +1,4 @@
+import { PrismaClient } from '@prisma/client';
+
+// one client per process, shared by every route module
+export const prisma = new PrismaClient();
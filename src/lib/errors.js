@@ -0,0 +1,72 @@
+import { Prisma } from '@prisma/client';
+import { log, errorFields } from './log.js';
+
+/* ======================  Errors  ======================
+ * Express 4 doesn't notice a rejected promise from an async handler (the
+ * request hangs, the process logs an unhandled rejection). asyncHandler()
+ * sends those rejections to next(err) like thrown errors; handleAsync() does
+ * that for every function registered on an app or router. errorHandler()
+ * turns anything that reaches it into the usual JSON shape:
+ *
+ *   { error: 'internal_error', requestId: '…' }
+ */
+
+/** `fn` with its rejections passed to next(err); error middleware and mounted routers stay as they are */
+export function asyncHandler(fn) {
+  if (Array.isArray(fn)) return fn.map(asyncHandler);
+  // 4 parameters: error middleware; .handle: a router or app mounted with use()
+  if (typeof fn !== 'function' || fn.length > 3 || typeof fn.handle === 'function') return fn;
+  return function handler(req, res, next) {
+    try {
+      const r = fn(req, res, next);
+      if (r && typeof r.catch === 'function') r.catch(next);
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+const REGISTER = ['use', 'all', 'get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+/** An app or router whose route and middleware functions go through asyncHandler() */
+export function handleAsync(target) {
+  for (const method of REGISTER) {
+    const register = target[method];
+    target[method] = function (...args) {
+      return register.apply(this, args.map(asyncHandler));
+    };
+  }
+  return target;
+}
+
+/** An error the error handler answers with `status` and `{ error: code }` */
+export const httpError = (status, code) => Object.assign(new Error(code), { status, code, expose: true });
+
+/** err → [status, code] */
+function classify(err) {
+  if (err.expose && err.status && err.code) return [err.status, err.code];
+  // body-parser
+  if (err.type === 'entity.parse.failed') return [400, 'invalid_json'];
+  if (err.type === 'entity.too.large') return [413, 'payload_too_large'];
+  if (err.type === 'charset.unsupported' || err.type === 'encoding.unsupported') return [415, 'unsupported_encoding'];
+  if (err.status >= 400 && err.status < 500) return [err.status, 'bad_request'];
+  // database unreachable / starting up
+  if (err instanceof Prisma.PrismaClientInitializationError || ['P1001', 'P1002', 'P2024'].includes(err.code))
+    return [503, 'database_unavailable'];
+  if (err.code === 'P2025') return [404, 'not_found'];
+  return [500, 'internal_error'];
+}
+
+/** Unknown routes: JSON instead of Express's HTML page */
+export function notFound(req, res) {
+  res.status(404).json({ error: 'not_found' });
+}
+
+// Express knows error middleware by its four parameters
+export function errorHandler(err, req, res, next) {
+  const [status, code] = classify(err);
+  if (status >= 500) log.error('request failed', { requestId: req.id, method: req.method, path: req.path, ...errorFields(err) });
+  // the response is already on its way: let Express cut the connection
+  if (res.headersSent) return next(err);
+  res.status(status).json({ error: code });
+}
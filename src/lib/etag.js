@@ -0,0 +1,23 @@
+/* ======================  Card ETags  ======================
+ * Card JSON carries ETag "<updatedAt ms>", plus "-<org updatedAt ms>" for org
+ * members (their visible profile changes with the org too). Profile writes
+ * honour If-Match: 412 precondition_failed when the card changed since the
+ * client read it.
+ */
+
+export function cardEtag(card, org = card?.org) {
+  const v = (d) => new Date(d).getTime().toString(36);
+  return `"${v(card.updatedAt)}${org ? `-${v(org.updatedAt)}` : ''}"`;
+}
+
+/** true when the request has If-Match and none of its tags is `etag` ("*" matches any) */
+export function ifMatchFails(req, etag) {
+  const header = req.get('If-Match');
+  if (!header) return false;
+  const tags = header.split(',').map(t => t.trim());
+  return !tags.includes('*') && !tags.includes(etag);
+}
+
+export function sendPreconditionFailed(res, etag) {
+  return res.status(412).set('ETag', etag).json({ error: 'precondition_failed' });
+}
@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+import { prisma } from './db.js';
+import { hit } from './rateLimit.js';
+import { enqueueWebhook } from './webhooks.js';
+import { anonymizeIp } from './privacy.js';
+import { EVENT_DEDUPE_SEC } from './config.js';
+
+/* ======================  Card events  ======================
+ * One write path for POST /api/event and the scan redirect (GET /c/:uid):
+ * visit dedupe, the Event row and its card.scanned webhook. The row keeps
+ * only a truncated or hashed IP (EVENT_IP_MODE); dedupe uses the real one.
+ */
+
+/**
+ * A client (ip + user agent) re-visiting a card within EVENT_DEDUPE_SEC counts once.
+ * → { recorded: true } | { recorded: false, deduped: true }
+ */
+export async function recordEvent(req, { uid, kind = 'visit', ua = null, source = null, referrer = null }) {
+  const agent = (typeof ua === 'string' && ua) || req.get('user-agent') || null;
+  if (kind === 'visit' && EVENT_DEDUPE_SEC > 0) {
+    const client = crypto.createHash('sha1').update(`${req.ip}|${agent}`).digest('base64url');
+    const seen = await hit(`event:dedupe:${uid}:${client}`, { max: 1, windowSec: EVENT_DEDUPE_SEC })
+      .catch(() => ({ ok: true }));
+    if (!seen.ok) return { recorded: false, deduped: true };
+  }
+
+  await prisma.$transaction(async (tx) => {
+    const e = await tx.event.create({
+      data: {
+        uid, kind, source,
+        ua: agent?.slice(0, 500),
+        ip: anonymizeIp(req.ip),
+        referrer: typeof referrer === 'string' && referrer ? referrer.slice(0, 500) : null,
+      },
+    });
+    await enqueueWebhook(tx, 'card.scanned', { uid, kind, source, ua: e.ua, at: e.createdAt });
+  });
+  return { recorded: true };
+}
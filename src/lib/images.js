@@ -0,0 +1,50 @@
+import sharp from 'sharp';
+
+/* ======================  Image pipeline  ======================
+ * Uploads are decoded from their real bytes (never the client mimetype),
+ * auto-rotated, stripped of EXIF/GPS and re-encoded into fixed avatar sizes.
+ */
+
+/** Square avatar sizes (px) → file suffix. The largest one is the canonical imageUrl. */
+export const AVATAR_SIZES = [
+  { size: 512, suffix: '' },
+  { size: 256, suffix: '-256' },
+  { size: 128, suffix: '-128' },
+];
+
+/** Detect the image type from magic bytes → 'jpeg' | 'png' | 'gif' | 'webp' | null */
+export function sniffImageType(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'jpeg';
+  if (buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buf.subarray(0, 6).toString('ascii') === 'GIF87a' || buf.subarray(0, 6).toString('ascii') === 'GIF89a') return 'gif';
+  if (buf.subarray(0, 4).toString('ascii') === 'RIFF' && buf.subarray(8, 12).toString('ascii') === 'WEBP') return 'webp';
+  return null;
+}
+
+/**
+ * Raw upload → [{ suffix, ext, contentType, body }]:
+ * JPEG at every AVATAR_SIZES entry plus a WebP of the largest.
+ * Throws { code: 'invalid_image' } if sharp can't decode it.
+ */
+export async function processAvatar(buf) {
+  try {
+    // first frame only (GIFs), EXIF orientation applied; sharp drops metadata on output
+    const base = sharp(buf, { limitInputPixels: 40_000_000, animated: false }).rotate();
+    const square = (size) => base.clone().resize(size, size, { fit: 'cover', position: 'attention' });
+
+    const out = [];
+    for (const { size, suffix } of AVATAR_SIZES) {
+      const body = await square(size)
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 85, mozjpeg: true })
+        .toBuffer();
+      out.push({ suffix, ext: '.jpg', contentType: 'image/jpeg', body });
+    }
+    const webp = await square(AVATAR_SIZES[0].size).webp({ quality: 82 }).toBuffer();
+    out.push({ suffix: '', ext: '.webp', contentType: 'image/webp', body: webp });
+    return out;
+  } catch {
+    throw Object.assign(new Error('invalid_image'), { code: 'invalid_image' });
+  }
+}
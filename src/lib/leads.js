@@ -0,0 +1,108 @@
+import { prisma } from './db.js';
+import { LIMITS, normalizePhone, isValidEmail } from './profileSchema.js';
+import { buildVCard } from './vcard.js';
+import { inert } from './csv.js';
+
+/* ======================  Leads  ======================
+ * Contact details a visitor leaves on a card's microsite. The payload is
+ * validated like a profile; errors use the same { field, code } shape.
+ */
+
+export const LEAD_NOTE_MAX = 1000;
+
+// name of the hidden form field real visitors never fill in
+export const HONEYPOT_FIELD = 'website';
+
+const blank = (v) => v == null || (typeof v === 'string' && !v.trim());
+
+/**
+ * { name, email?, phone?, company?, note? } — name plus email or phone required.
+ * → { ok: true, lead } | { ok: false, errors }
+ */
+export function validateLead(p = {}) {
+  const errors = [];
+  const lead = {};
+  if (!p || typeof p !== 'object' || Array.isArray(p))
+    return { ok: false, errors: [{ field: 'lead', code: 'invalid_type' }] };
+
+  const text = (field, max, required = false) => {
+    const v = p[field];
+    if (blank(v)) {
+      if (required) errors.push({ field, code: 'required' });
+      return (lead[field] = null);
+    }
+    if (typeof v !== 'string') return errors.push({ field, code: 'invalid_type' });
+    const s = field === 'note' ? v.trim() : v.trim().replace(/\s+/g, ' ');
+    if (s.length > max) return errors.push({ field, code: 'too_long', max });
+    lead[field] = s;
+  };
+  text('name', LIMITS.name, true);
+  text('company', LIMITS.company);
+  text('note', LEAD_NOTE_MAX);
+
+  if (blank(p.email)) lead.email = null;
+  else if (!isValidEmail(p.email)) errors.push({ field: 'email', code: 'invalid_email' });
+  else lead.email = p.email.trim();
+
+  if (blank(p.phone)) lead.phone = null;
+  else if (typeof p.phone !== 'string') errors.push({ field: 'phone', code: 'invalid_type' });
+  else {
+    const e164 = normalizePhone(p.phone);
+    if (!e164) errors.push({ field: 'phone', code: 'invalid_phone' });
+    else lead.phone = e164;
+  }
+
+  if (!errors.length && !lead.email && !lead.phone)
+    errors.push({ field: 'email', code: 'email_or_phone_required' });
+
+  return errors.length ? { ok: false, errors } : { ok: true, lead };
+}
+
+/**
+ * Owner lead search: ?q= over name, email, phone, company, note. `since` is the
+ * card's claimedAt: leads left for a previous owner stay out.
+ */
+export function leadWhere(uid, q, since = null) {
+  const term = typeof q === 'string' ? q.trim() : '';
+  const base = { uid, ...(since ? { createdAt: { gte: since } } : {}) };
+  if (!term) return base;
+  return {
+    ...base,
+    OR: ['name', 'email', 'phone', 'company', 'note']
+      .map(f => ({ [f]: { contains: term, mode: 'insensitive' } })),
+  };
+}
+
+export function leadVCard(lead, version = '3.0') {
+  return buildVCard({
+    name: lead.name,
+    company: lead.company,
+    email: lead.email,
+    mobile: lead.phone,
+    note: lead.note,
+    updatedAt: lead.createdAt,
+  }, { version });
+}
+
+export const LEAD_CSV_HEADER = ['id', 'createdAt', 'name', 'email', 'phone', 'company', 'note'];
+
+export function leadCsvRow(lead) {
+  return [
+    lead.id,
+    lead.createdAt.toISOString(),
+    inert(lead.name),
+    inert(lead.email),
+    lead.phone || '',
+    inert(lead.company),
+    inert(lead.note),
+  ];
+}
+
+/** { [uid]: number of leads } for the given cards (0 included) */
+export async function leadCounts(uids) {
+  const out = Object.fromEntries(uids.map(u => [u, 0]));
+  if (!uids.length) return out;
+  const rows = await prisma.lead.groupBy({ by: ['uid'], where: { uid: { in: uids } }, _count: { _all: true } });
+  for (const r of rows) out[r.uid] = r._count._all;
+  return out;
+}
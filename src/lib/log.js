@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+import { LOG_LEVEL } from './config.js';
+
+/* ======================  Logging  ======================
+ * One JSON object per line: { level, time, msg, ...fields }. Errors go to
+ * stderr, everything else to stdout. Request lines carry the request id that
+ * is also sent back as X-Request-Id and in JSON error bodies.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[LOG_LEVEL] ?? LEVELS.info;
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold) return;
+  const line = JSON.stringify({ level, time: new Date().toISOString(), msg, ...fields });
+  (level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+export const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+/** Error → loggable fields (stack only for unexpected errors) */
+export const errorFields = (err) => ({
+  err: { name: err?.name, message: err?.message, ...(err?.code ? { code: err.code } : {}), stack: err?.stack },
+});
+
+// a caller-supplied id is kept if it looks like one (proxy / load balancer ids)
+const ID_RE = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/**
+ * req.id from X-Request-Id or a new one, echoed in the response header and
+ * added to every JSON error body ({ error, requestId }).
+ */
+export function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) => json(res.statusCode >= 400 && body && typeof body === 'object' && typeof body.error === 'string' && !body.requestId
+    ? { ...body, requestId: req.id }
+    : body);
+  next();
+}
+
+/** One line per finished request; `skip` paths (health probes) are not logged */
+export function requestLogger({ skip = [] } = {}) {
+  return (req, res, next) => {
+    if (skip.includes(req.path)) return next();
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const status = res.statusCode;
+      write(status >= 500 ? 'error' : 'info', 'request', {
+        requestId: req.id,
+        method: req.method,
+        // no query string: it can hold signatures and tokens
+        path: req.originalUrl.split('?')[0],
+        status,
+        ms: Number((process.hrtime.bigint() - start) / 1000n) / 1000,
+        bytes: Number(res.get('Content-Length')) || undefined,
+        ...(req.admin ? { admin: req.admin.name } : {}),
+      });
+    });
+    next();
+  };
+}
@@ -0,0 +1,133 @@
+import { prisma } from './db.js';
+import { normalizeEmail } from './auth.js';
+import { PROFILE_FIELDS, CONTACT_FIELDS, contactsOf, formatAddress } from './profile.js';
+import { validateProfile } from './profileSchema.js';
+
+/* ======================  Organizations  ======================
+ * An org owns member cards and holds default values for the shared fields.
+ * A card inherits a shared field while its own value is empty; socials merge
+ * per network (the card's link wins, socials.custom is taken whole).
+ *
+ * Writes store values equal to the org default as empty (stripInherited), so
+ * a card saved from its resolved profile keeps following later org changes.
+ */
+
+export const ORG_FIELDS = ['company', 'website', 'address', 'socials', 'imageUrl'];
+
+const blank = (v) => v == null || v === '';
+const socialsOf = (x) => (x?.socials && typeof x.socials === 'object' && !Array.isArray(x.socials) ? x.socials : {});
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/** { name?, defaults? } → { ok: true, name, defaults } | { ok: false, errors } (`partial` for PUT) */
+export function validateOrg(body = {}, partial = false) {
+  const errors = [];
+  let name;
+  if (!partial || body.name !== undefined) {
+    name = typeof body.name === 'string' ? body.name.trim().replace(/\s+/g, ' ') : '';
+    if (!name) errors.push({ field: 'name', code: 'required' });
+    else if (name.length > 120) errors.push({ field: 'name', code: 'too_long', max: 120 });
+  }
+  let defaults;
+  if (!partial || body.defaults !== undefined) {
+    const checked = validateOrgDefaults(body.defaults);
+    if (checked.ok) defaults = checked.defaults;
+    else errors.push(...checked.errors);
+  }
+  return errors.length ? { ok: false, errors } : { ok: true, name, defaults };
+}
+
+/** Validated like a profile; only ORG_FIELDS are kept (errors name them `defaults.<field>`) */
+export function validateOrgDefaults(p) {
+  if (p != null && (typeof p !== 'object' || Array.isArray(p)))
+    return { ok: false, errors: [{ field: 'defaults', code: 'invalid_type' }] };
+  const picked = Object.fromEntries(ORG_FIELDS.map(f => [f, p?.[f]]));
+  const checked = validateProfile(picked);
+  if (!checked.ok) return { ok: false, errors: checked.errors.map(e => ({ ...e, field: `defaults.${e.field}` })) };
+  return { ok: true, defaults: Object.fromEntries(ORG_FIELDS.map(f => [f, checked.profile[f]])) };
+}
+
+/** Org row → its defaults */
+export function orgDefaults(org) {
+  return Object.fromEntries(ORG_FIELDS.map(f => [f, f === 'socials' ? socialsOf(org) : org?.[f] ?? null]));
+}
+
+/**
+ * The profile visitors see: card values, empty shared fields filled from `org`.
+ * An org website/address also fills the card's urls/addresses when it has none.
+ */
+export function resolveProfile(card, org = card?.org) {
+  const out = {};
+  const contacts = contactsOf(card || {});
+  for (const f of PROFILE_FIELDS) out[f] = CONTACT_FIELDS.includes(f) ? contacts[f] : card?.[f] ?? (f === 'socials' ? {} : null);
+  if (!org) return out;
+  for (const f of ORG_FIELDS) {
+    if (f === 'socials') out.socials = { ...socialsOf(org), ...socialsOf(card) };
+    else if (blank(out[f])) out[f] = org[f] ?? null;
+  }
+  if (!out.urls.length && !blank(org.website)) out.urls = [{ label: 'website', url: org.website }];
+  if (!out.addresses.length && !blank(org.address)) out.addresses = [{ label: 'work', street: org.address }];
+  return out;
+}
+
+/** Card row with its profile fields resolved (for the JSON, .vcf and QR outputs) */
+export function withOrgDefaults(card) {
+  return card?.org ? { ...card, ...resolveProfile(card) } : card;
+}
+
+/** Shared fields (and socials.<network>) a member card sets itself */
+export function overriddenFields(card, org = card?.org) {
+  if (!org) return [];
+  const out = [];
+  for (const f of ORG_FIELDS) {
+    if (f === 'socials') out.push(...Object.keys(socialsOf(card)).map(k => `socials.${k}`));
+    else if (!blank(card?.[f])) out.push(f);
+  }
+  return out;
+}
+
+/** Shared fields a member card currently takes from its org */
+export function inheritedFields(card, org = card?.org) {
+  if (!org) return [];
+  const own = socialsOf(card);
+  const out = [];
+  for (const f of ORG_FIELDS) {
+    if (f === 'socials') out.push(...Object.keys(socialsOf(org)).filter(k => !(k in own)).map(k => `socials.${k}`));
+    else if (blank(card?.[f]) && !blank(org[f])) out.push(f);
+  }
+  return out;
+}
+
+/** Profile about to be written to a member card: values equal to the org default become empty */
+export function stripInherited(profile, org) {
+  if (!org) return profile;
+  const out = { ...profile };
+  for (const f of ORG_FIELDS) {
+    if (f === 'socials') {
+      const base = socialsOf(org);
+      out.socials = Object.fromEntries(Object.entries(socialsOf(profile)).filter(([k, v]) => !same(v, base[k])));
+    } else if (!blank(out[f]) && same(out[f], org[f])) {
+      out[f] = null;
+    }
+  }
+  if (Array.isArray(out.urls) && !blank(org.website)) out.urls = out.urls.filter(u => u.url !== org.website);
+  if (Array.isArray(out.addresses) && !blank(org.address))
+    out.addresses = out.addresses.filter(a => formatAddress(a) !== org.address);
+  return out;
+}
+
+/** Orgs the email manages → [{ id, name }] */
+export function managedOrgs(email) {
+  const e = normalizeEmail(email);
+  if (!e) return Promise.resolve([]);
+  return prisma.organization.findMany({
+    where: { managers: { some: { email: e } } },
+    orderBy: { name: 'asc' },
+    select: { id: true, name: true },
+  });
+}
+
+/** The card's org row, or null */
+export function orgOf(card, tx = prisma) {
+  if (!card?.orgId) return Promise.resolve(null);
+  return card.org !== undefined ? Promise.resolve(card.org) : tx.organization.findUnique({ where: { id: card.orgId } });
+}
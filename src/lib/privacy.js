@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import net from 'net';
+import { EVENT_IP_MODE, IP_HASH_SECRET } from './config.js';
+
+/* ======================  Privacy  ======================
+ * Owners choose per field who sees it (Card.privacy, only non-public entries stored):
+ *   public   JSON profile, .vcf and QR vCards
+ *   vcard    only in vCards (.vcf download, QR with content=vcard, print package)
+ *   hidden   nowhere outside the owner's own views
+ * The contact lists carry their flat columns along: `phones` also covers
+ * phone/mobile, `emails` email, `urls` website, `addresses` address.
+ * The name is always public.
+ */
+
+export const PRIVACY_LEVELS = ['public', 'vcard', 'hidden'];
+
+// privacy key → the Card columns it covers
+export const PRIVACY_FIELDS = {
+  company: ['company'],
+  title: ['title'],
+  phones: ['phones', 'phone', 'mobile'],
+  emails: ['emails', 'email'],
+  urls: ['urls', 'website'],
+  addresses: ['addresses', 'address'],
+  socials: ['socials'],
+  links: ['links'],
+  imageUrl: ['imageUrl'],
+};
+
+const LISTS = ['phones', 'emails', 'urls', 'addresses', 'links'];
+
+/** Every privacy key with its level (missing → public) */
+export function privacyOf(card) {
+  const stored = card?.privacy && typeof card.privacy === 'object' ? card.privacy : {};
+  return Object.fromEntries(Object.keys(PRIVACY_FIELDS).map(k => [k, PRIVACY_LEVELS.includes(stored[k]) ? stored[k] : 'public']));
+}
+
+/**
+ * { company: 'hidden', phones: 'vcard', ... } → { ok: true, privacy } | { ok: false, errors }
+ * Keys left out are public; `privacy` keeps only the non-public ones (what Card.privacy stores).
+ */
+export function validatePrivacy(p) {
+  if (p == null || typeof p !== 'object' || Array.isArray(p))
+    return { ok: false, errors: [{ field: 'privacy', code: 'invalid_type' }] };
+  const errors = [];
+  const privacy = {};
+  for (const [k, v] of Object.entries(p)) {
+    if (!PRIVACY_FIELDS[k]) errors.push({ field: `privacy.${k}`, code: 'unknown_field' });
+    else if (!PRIVACY_LEVELS.includes(v)) errors.push({ field: `privacy.${k}`, code: 'invalid_level' });
+    else if (v !== 'public') privacy[k] = v;
+  }
+  return errors.length ? { ok: false, errors } : { ok: true, privacy };
+}
+
+/** The card as `output` ('json' | 'vcard') may show it: columns it may not show are emptied */
+export function applyPrivacy(card, output) {
+  if (!card) return card;
+  const levels = privacyOf(card);
+  const out = { ...card };
+  for (const [k, columns] of Object.entries(PRIVACY_FIELDS)) {
+    const level = levels[k];
+    if (level === 'public' || (level === 'vcard' && output === 'vcard')) continue;
+    for (const c of columns) out[c] = c === 'socials' ? {} : LISTS.includes(c) ? [] : null;
+  }
+  return out;
+}
+
+/** 1.2.3.4 → 1.2.3.0; 2001:db8:85a3::8a2e:370:7334 → 2001:db8:85a3:: */
+export function truncateIp(ip) {
+  const s = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  if (net.isIPv4(s)) return s.replace(/\.\d+$/, '.0');
+  if (!net.isIPv6(s)) return null;
+  const [head, tail = ''] = s.split('::');
+  const left = head ? head.split(':') : [];
+  const right = s.includes('::') && tail ? tail.split(':') : [];
+  const groups = [...left, ...Array(Math.max(8 - left.length - right.length, 0)).fill('0'), ...right];
+  return `${groups.slice(0, 3).map(g => Number.parseInt(g, 16).toString(16)).join(':')}::`;
+}
+
+/** What an Event or Lead row keeps of the visitor's IP (EVENT_IP_MODE) */
+export function anonymizeIp(ip, mode = EVENT_IP_MODE) {
+  if (!ip) return null;
+  if (mode === 'full') return ip;
+  if (mode === 'hash') return `h:${crypto.createHmac('sha256', IP_HASH_SECRET).update(ip).digest('base64url').slice(0, 22)}`;
+  return truncateIp(ip);
+}
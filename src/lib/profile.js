@@ -0,0 +1,147 @@
+/* ======================  Profile fields  ======================
+ * The owner-editable part of a Card. Claim, owner and admin writes all go
+ * through profileData(); revisions store profileOf() snapshots.
+ *
+ * Contact details are labeled lists (phones, emails, urls, addresses) plus
+ * ordered link buttons. The flat phone/mobile/email/website/address columns
+ * are kept as their primary values for older clients and exports.
+ */
+export const PROFILE_FIELDS = [
+  'name', 'company', 'title',
+  'phone', 'mobile', 'email',
+  'website', 'address', 'socials', 'imageUrl',
+  'phones', 'emails', 'urls', 'addresses', 'links',
+];
+
+export const CONTACT_FIELDS = ['phones', 'emails', 'urls', 'addresses', 'links'];
+export const ADDRESS_PARTS = ['street', 'city', 'region', 'postalCode', 'country'];
+
+const emptyOf = (f) => (f === 'socials' ? {} : CONTACT_FIELDS.includes(f) ? [] : null);
+
+/** the legacy `mobile` column is the first phone labeled like a mobile number */
+export const isMobileLabel = (label) => /^(mobile|cell|cellphone|whatsapp|viber)$/i.test(String(label || '').trim());
+
+/** Structured address → the free-text form of the `address` column */
+export function formatAddress(a) {
+  if (!a) return null;
+  const line2 = [a.city, a.region, a.postalCode].filter(Boolean).join(', ');
+  return [a.street, line2, a.country].filter(Boolean).join('\n') || null;
+}
+
+/** Lists built from the flat columns alone (rows written before the lists existed) */
+export function contactsFromFlat(c = {}) {
+  return {
+    phones: [
+      ...(c.mobile ? [{ label: 'mobile', number: c.mobile }] : []),
+      ...(c.phone ? [{ label: 'work', number: c.phone }] : []),
+    ],
+    emails: c.email ? [{ label: 'work', address: c.email }] : [],
+    urls: c.website ? [{ label: 'website', url: c.website }] : [],
+    addresses: c.address ? [{ label: 'work', street: c.address }] : [],
+    links: [],
+  };
+}
+
+/** The card's contact lists, falling back to its flat columns */
+export function contactsOf(card = {}) {
+  const flat = contactsFromFlat(card);
+  return Object.fromEntries(CONTACT_FIELDS.map(f => [f, Array.isArray(card?.[f]) ? card[f] : flat[f]]));
+}
+
+/** Primary values of the lists → flat columns */
+export function flatFromContacts({ phones = [], emails = [], urls = [], addresses = [] }) {
+  const mobile = phones.find(p => isMobileLabel(p.label));
+  const phone = phones.find(p => p !== mobile);
+  return {
+    mobile: mobile?.number ?? null,
+    phone: phone?.number ?? null,
+    email: emails[0]?.address ?? null,
+    website: urls[0]?.url ?? null,
+    address: formatAddress(addresses[0]),
+  };
+}
+
+/**
+ * A write from a client that only knows the flat fields: its values replace
+ * the primary entries of the card's current lists (null removes them), the
+ * other entries stay.
+ */
+export function mergeFlat(field, prev, flat) {
+  const list = prev.map(e => ({ ...e }));
+  const put = (i, value, key, entry) => {
+    if (value && i >= 0) list[i][key] = value;
+    else if (value) entry(value);
+    else if (i >= 0) list.splice(i, 1);
+  };
+  switch (field) {
+    case 'phones':
+      put(list.findIndex(p => isMobileLabel(p.label)), flat.mobile, 'number', v => list.unshift({ label: 'mobile', number: v }));
+      put(list.findIndex(p => !isMobileLabel(p.label)), flat.phone, 'number', v => list.push({ label: 'work', number: v }));
+      return list;
+    case 'emails':
+      put(list.length ? 0 : -1, flat.email, 'address', v => list.unshift({ label: 'work', address: v }));
+      return list;
+    case 'urls':
+      put(list.length ? 0 : -1, flat.website, 'url', v => list.unshift({ label: 'website', url: v }));
+      return list;
+    case 'addresses':
+      // an unchanged formatted address keeps its structure
+      if (flat.address && list[0] && formatAddress(list[0]) === flat.address) return list;
+      if (!flat.address) return list.slice(1);
+      return [{ label: list[0]?.label || 'work', street: flat.address }, ...list.slice(1)];
+    default:
+      return list;
+  }
+}
+
+/**
+ * Payload → Card columns; missing fields become null (socials → {}).
+ * Lists missing from the payload come from `before` with the flat fields
+ * merged in (see mergeFlat); the flat columns always follow the lists.
+ */
+export function profileData(p = {}, before = null) {
+  const data = {};
+  for (const f of PROFILE_FIELDS) data[f] = p?.[f] ?? emptyOf(f);
+  const prev = contactsOf(before || {});
+  for (const f of CONTACT_FIELDS) {
+    if (!Array.isArray(p?.[f])) data[f] = mergeFlat(f, prev[f], data);
+  }
+  return { ...data, ...flatFromContacts(data) };
+}
+
+/** Card row → plain profile object */
+export function profileOf(card) {
+  const out = {};
+  const contacts = contactsOf(card || {});
+  for (const f of PROFILE_FIELDS) out[f] = CONTACT_FIELDS.includes(f) ? contacts[f] : card?.[f] ?? emptyOf(f);
+  return out;
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/** RFC 7396 JSON merge patch: objects merge recursively, null removes a key, anything else replaces */
+export function mergePatch(target, patch) {
+  if (!isObject(patch)) return patch;
+  const out = isObject(target) ? { ...target } : {};
+  for (const [k, v] of Object.entries(patch)) {
+    if (v === null) delete out[k];
+    else out[k] = mergePatch(out[k], v);
+  }
+  return out;
+}
+
+// flat field → the list it holds the primary value of
+const FLAT_LISTS = { phone: 'phones', mobile: 'phones', email: 'emails', website: 'urls', address: 'addresses' };
+
+/**
+ * The card's profile with a merge patch applied, ready for validateProfile().
+ * A patched flat field (mobile, email ...) reaches its list through mergeFlat
+ * unless the patch sets that list too.
+ */
+export function patchProfile(card, patch) {
+  const out = mergePatch(profileOf(card), patch);
+  for (const [f, list] of Object.entries(FLAT_LISTS)) {
+    if (f in patch && !(list in patch)) delete out[list];
+  }
+  return out;
+}
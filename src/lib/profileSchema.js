@@ -0,0 +1,288 @@
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+import { PHONE_DEFAULT_REGION, UPLOAD_ORIGINS } from './config.js';
+import { ADDRESS_PARTS } from './profile.js';
+import { canonicalUrl } from './storage.js';
+
+/* ======================  Profile schema  ======================
+ * validateProfile() normalizes an incoming `profile` payload and collects
+ * per-field error codes. Routes answer failures with sendValidationError():
+ *
+ *   400 { error: 'validation_failed', errors: [{ field: 'mobile', code: 'invalid_phone' }] }
+ */
+
+export const LIMITS = {
+  name: 100,
+  company: 120,
+  title: 120,
+  address: 300,
+  email: 254,
+  url: 500,
+  handle: 64,
+  label: 40,
+  customLinks: 10,
+  entries: 10,      // per contact list (phones, emails, urls, addresses, links)
+  addressPart: 100, // city, region, postalCode, country
+};
+
+/**
+ * Known social networks: URL template for bare handles and the hosts a
+ * pasted URL may point at. Anything else goes in socials.custom: [{ label, url }].
+ */
+export const SOCIAL_NETWORKS = {
+  facebook:  { url: h => `https://www.facebook.com/${h}`, hosts: ['facebook.com', 'fb.com'] },
+  instagram: { url: h => `https://www.instagram.com/${h}`, hosts: ['instagram.com'] },
+  linkedin:  { url: h => `https://www.linkedin.com/in/${h}`, hosts: ['linkedin.com'] },
+  x:         { url: h => `https://x.com/${h}`, hosts: ['x.com', 'twitter.com'] },
+  twitter:   { url: h => `https://x.com/${h}`, hosts: ['x.com', 'twitter.com'] },
+  tiktok:    { url: h => `https://www.tiktok.com/@${h}`, hosts: ['tiktok.com'] },
+  youtube:   { url: h => `https://www.youtube.com/@${h}`, hosts: ['youtube.com', 'youtu.be'] },
+  github:    { url: h => `https://github.com/${h}`, hosts: ['github.com'] },
+  telegram:  { url: h => `https://t.me/${h}`, hosts: ['t.me', 'telegram.me'] },
+  whatsapp:  { url: h => `https://wa.me/${h.replace(/\D/g, '')}`, hosts: ['wa.me', 'whatsapp.com'] },
+};
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const HANDLE_RE = /^[A-Za-z0-9._-]+$/;
+
+const blank = (v) => v == null || (typeof v === 'string' && !v.trim());
+
+const hostMatches = (host, hosts) =>
+  hosts.some(h => host === h || host.endsWith(`.${h}`));
+
+/** "example.com/x" → "https://example.com/x"; null if not an http(s) URL */
+export function normalizeUrl(v) {
+  const s = String(v).trim();
+  const withScheme = /^[a-z][a-z0-9+.-]*:/i.test(s) ? s : `https://${s.replace(/^\/+/, '')}`;
+  try {
+    const u = new URL(withScheme);
+    if (!['http:', 'https:'].includes(u.protocol) || !u.hostname.includes('.')) return null;
+    // URL() adds a "/" to bare hosts; keep what the user typed
+    const out = u.toString();
+    return u.pathname === '/' && !u.search && !u.hash && !s.endsWith('/') ? out.slice(0, -1) : out;
+  } catch {
+    return null;
+  }
+}
+
+/** Any common notation → E.164, using PHONE_DEFAULT_REGION for national numbers */
+export function normalizePhone(v, region = PHONE_DEFAULT_REGION) {
+  const n = parsePhoneNumberFromString(String(v).trim(), region);
+  return n && n.isValid() ? n.number : null;
+}
+
+export function normalizeSocialUrl(network, value) {
+  const def = SOCIAL_NETWORKS[network];
+  const s = String(value).trim();
+  if (/^https?:\/\//i.test(s) || s.includes('/')) {
+    const url = normalizeUrl(s);
+    if (!url) return { code: 'invalid_url' };
+    if (!hostMatches(new URL(url).hostname.toLowerCase(), def.hosts)) return { code: 'wrong_network' };
+    return { url };
+  }
+  if (network === 'whatsapp') {
+    const e164 = normalizePhone(s);
+    return e164 ? { url: def.url(e164) } : { code: 'invalid_phone' };
+  }
+  const handle = s.replace(/^@/, '');
+  if (!handle || handle.length > LIMITS.handle || !HANDLE_RE.test(handle))
+    return { code: 'invalid_handle' };
+  return { url: def.url(handle) };
+}
+
+function validateSocials(socials, errors) {
+  if (blank(socials)) return {};
+  if (typeof socials !== 'object' || Array.isArray(socials)) {
+    errors.push({ field: 'socials', code: 'invalid_type' });
+    return {};
+  }
+
+  const out = {};
+  for (const [key, value] of Object.entries(socials)) {
+    const network = key.toLowerCase();
+    if (network === 'custom') continue;
+    if (!SOCIAL_NETWORKS[network]) {
+      errors.push({ field: `socials.${key}`, code: 'unknown_network' });
+      continue;
+    }
+    if (blank(value)) continue;
+    if (typeof value !== 'string') {
+      errors.push({ field: `socials.${key}`, code: 'invalid_type' });
+      continue;
+    }
+    const r = normalizeSocialUrl(network, value);
+    if (r.code) errors.push({ field: `socials.${key}`, code: r.code });
+    else out[network] = r.url;
+  }
+
+  const custom = socials.custom;
+  if (!blank(custom)) {
+    if (!Array.isArray(custom)) {
+      errors.push({ field: 'socials.custom', code: 'invalid_type' });
+    } else if (custom.length > LIMITS.customLinks) {
+      errors.push({ field: 'socials.custom', code: 'too_many' });
+    } else {
+      const links = [];
+      custom.forEach((link, i) => {
+        const field = `socials.custom.${i}`;
+        const label = typeof link?.label === 'string' ? link.label.trim() : '';
+        if (!label) return errors.push({ field: `${field}.label`, code: 'required' });
+        if (label.length > LIMITS.label) return errors.push({ field: `${field}.label`, code: 'too_long' });
+        const url = typeof link?.url === 'string' ? normalizeUrl(link.url) : null;
+        if (!url) return errors.push({ field: `${field}.url`, code: 'invalid_url' });
+        links.push({ label, url });
+      });
+      if (links.length) out.custom = links;
+    }
+  }
+  return out;
+}
+
+/**
+ * Labeled list: [{ label?, ...value }]. `entry(item, fail)` returns the
+ * normalized value fields, or fail(part, code, extra?) for an error.
+ * Not sent (undefined/null) → undefined, so profileData() keeps the stored list.
+ */
+function validateList(field, list, errors, entry, { labelRequired = false, defaultLabel = 'other' } = {}) {
+  if (list == null) return undefined;
+  if (!Array.isArray(list)) {
+    errors.push({ field, code: 'invalid_type' });
+    return undefined;
+  }
+  if (list.length > LIMITS.entries) {
+    errors.push({ field, code: 'too_many', max: LIMITS.entries });
+    return undefined;
+  }
+  const out = [];
+  list.forEach((item, i) => {
+    const at = `${field}.${i}`;
+    const fail = (part, code, extra) => {
+      errors.push({ field: part ? `${at}.${part}` : at, code, ...extra });
+      return null;
+    };
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return fail(null, 'invalid_type');
+    const label = typeof item.label === 'string' ? item.label.trim().replace(/\s+/g, ' ') : '';
+    if (!label && labelRequired) return fail('label', 'required');
+    if (label.length > LIMITS.label) return fail('label', 'too_long', { max: LIMITS.label });
+    const value = entry(item, fail);
+    if (value) out.push({ label: label || defaultLabel, ...value });
+  });
+  return out;
+}
+
+function phoneEntry(item, fail) {
+  if (blank(item.number)) return fail('number', 'required');
+  const e164 = typeof item.number === 'string' ? normalizePhone(item.number) : null;
+  return e164 ? { number: e164 } : fail('number', 'invalid_phone');
+}
+
+function emailEntry(item, fail) {
+  if (blank(item.address)) return fail('address', 'required');
+  return isValidEmail(item.address) ? { address: item.address.trim() } : fail('address', 'invalid_email');
+}
+
+function urlEntry(item, fail) {
+  if (blank(item.url)) return fail('url', 'required');
+  if (typeof item.url !== 'string') return fail('url', 'invalid_type');
+  if (item.url.trim().length > LIMITS.url) return fail('url', 'too_long', { max: LIMITS.url });
+  const url = normalizeUrl(item.url);
+  return url ? { url } : fail('url', 'invalid_url');
+}
+
+function addressEntry(item, fail) {
+  const out = {};
+  for (const part of ADDRESS_PARTS) {
+    const v = item[part];
+    if (blank(v)) continue;
+    if (typeof v !== 'string') return fail(part, 'invalid_type');
+    const max = part === 'street' ? LIMITS.address : LIMITS.addressPart;
+    // street keeps its line breaks
+    const s = part === 'street' ? v.trim() : v.trim().replace(/\s+/g, ' ');
+    if (s.length > max) return fail(part, 'too_long', { max });
+    out[part] = s;
+  }
+  return Object.keys(out).length ? out : fail(null, 'required');
+}
+
+/**
+ * @param {object} p  incoming profile payload
+ * @returns {{ ok: true, profile: object } | { ok: false, errors: {field:string, code:string}[] }}
+ *   `profile` holds every PROFILE_FIELD, normalized (blank → null, socials → {});
+ *   contact lists that weren't sent stay undefined.
+ */
+export function validateProfile(p = {}) {
+  const errors = [];
+  const out = {};
+  if (p != null && (typeof p !== 'object' || Array.isArray(p)))
+    return { ok: false, errors: [{ field: 'profile', code: 'invalid_type' }] };
+  p = p || {};
+
+  const text = (field, max) => {
+    const v = p[field];
+    if (blank(v)) return (out[field] = null);
+    if (typeof v !== 'string') return errors.push({ field, code: 'invalid_type' });
+    const s = v.trim().replace(/\s+/g, ' ');
+    if (s.length > max) return errors.push({ field, code: 'too_long', max });
+    out[field] = s;
+  };
+  text('name', LIMITS.name);
+  text('company', LIMITS.company);
+  text('title', LIMITS.title);
+
+  // address keeps its line breaks
+  if (blank(p.address)) out.address = null;
+  else if (typeof p.address !== 'string') errors.push({ field: 'address', code: 'invalid_type' });
+  else if (p.address.trim().length > LIMITS.address) errors.push({ field: 'address', code: 'too_long', max: LIMITS.address });
+  else out.address = p.address.trim();
+
+  for (const field of ['phone', 'mobile']) {
+    if (blank(p[field])) { out[field] = null; continue; }
+    if (typeof p[field] !== 'string') { errors.push({ field, code: 'invalid_type' }); continue; }
+    const e164 = normalizePhone(p[field]);
+    if (!e164) errors.push({ field, code: 'invalid_phone' });
+    else out[field] = e164;
+  }
+
+  if (blank(p.email)) out.email = null;
+  else if (typeof p.email !== 'string') errors.push({ field: 'email', code: 'invalid_type' });
+  else if (p.email.trim().length > LIMITS.email) errors.push({ field: 'email', code: 'too_long', max: LIMITS.email });
+  else if (!EMAIL_RE.test(p.email.trim())) errors.push({ field: 'email', code: 'invalid_email' });
+  else out.email = p.email.trim();
+
+  if (blank(p.website)) out.website = null;
+  else if (typeof p.website !== 'string') errors.push({ field: 'website', code: 'invalid_type' });
+  else if (p.website.trim().length > LIMITS.url) errors.push({ field: 'website', code: 'too_long', max: LIMITS.url });
+  else {
+    const url = normalizeUrl(p.website);
+    if (!url) errors.push({ field: 'website', code: 'invalid_url' });
+    else out.website = url;
+  }
+
+  if (blank(p.imageUrl)) out.imageUrl = null;
+  else if (typeof p.imageUrl !== 'string') errors.push({ field: 'imageUrl', code: 'invalid_type' });
+  else {
+    // a signed URL the client got from us goes back to the file's public URL
+    const imageUrl = canonicalUrl(p.imageUrl.trim());
+    if (!UPLOAD_ORIGINS.some(prefix => imageUrl.startsWith(prefix)))
+      errors.push({ field: 'imageUrl', code: 'foreign_origin' });
+    else out.imageUrl = imageUrl;
+  }
+
+  out.socials = validateSocials(p.socials, errors);
+
+  out.phones = validateList('phones', p.phones, errors, phoneEntry);
+  out.emails = validateList('emails', p.emails, errors, emailEntry);
+  out.urls = validateList('urls', p.urls, errors, urlEntry, { defaultLabel: 'website' });
+  out.addresses = validateList('addresses', p.addresses, errors, addressEntry);
+  // link buttons, shown in this order
+  out.links = validateList('links', p.links, errors, urlEntry, { labelRequired: true });
+
+  return errors.length ? { ok: false, errors } : { ok: true, profile: out };
+}
+
+export function isValidEmail(v) {
+  return typeof v === 'string' && v.trim().length <= LIMITS.email && EMAIL_RE.test(v.trim());
+}
+
+export function sendValidationError(res, errors) {
+  return res.status(400).json({ error: 'validation_failed', errors });
+}
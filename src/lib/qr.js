@@ -0,0 +1,159 @@
+import QRCode from 'qrcode';
+import sharp from 'sharp';
+import { readFile } from 'fs/promises';
+import { FRONTEND_BASE, PROFILE_ROUTE, SCAN_BASE } from './config.js';
+import { httpError } from './errors.js';
+
+/* ======================  QR rendering  ======================
+ * Same defaults as scripts/gen_qrs.mjs always used:
+ * 4-module quiet zone, scale 8, error correction M, black on white.
+ */
+export const QR_DEFAULTS = {
+  margin: 4,
+  scale: 8,
+  errorCorrectionLevel: 'M',
+  color: { dark: '#000000', light: '#FFFFFF' },
+};
+
+/** Permanent microsite URL */
+export function buildMicrositeUrl(uid) {
+  return `${FRONTEND_BASE}${PROFILE_ROUTE}?uid=${encodeURIComponent(uid)}`;
+}
+
+/** Short link through the scan redirect (GET /c/:uid), which records the scan first */
+export function buildScanUrl(uid, src = 'qr') {
+  return `${SCAN_BASE}/c/${encodeURIComponent(uid)}${src ? `?src=${src}` : ''}`;
+}
+
+const HEX = /^#?([0-9a-f]{6}|[0-9a-f]{8})$/i;
+const toHex = (v) => `#${String(v).replace(/^#/, '').toUpperCase()}`;
+
+/**
+ * Parse QR query options → { ok, opts } or { ok: false, error }.
+ * format=png|svg, size (px), margin, ecl=L|M|Q|H, fg, bg (hex), logo=brand|avatar
+ */
+export function parseQrOptions(query = {}) {
+  const format = String(query.format || 'png').toLowerCase();
+  if (!['png', 'svg'].includes(format)) return { ok: false, error: 'invalid_format' };
+
+  const opts = {
+    format,
+    margin: QR_DEFAULTS.margin,
+    errorCorrectionLevel: QR_DEFAULTS.errorCorrectionLevel,
+    color: { ...QR_DEFAULTS.color },
+    width: null,
+    logo: null,
+  };
+
+  if (query.size != null) {
+    const size = Number(query.size);
+    if (!Number.isInteger(size) || size < 64 || size > 2048) return { ok: false, error: 'invalid_size' };
+    opts.width = size;
+  }
+  if (query.margin != null) {
+    const margin = Number(query.margin);
+    if (!Number.isInteger(margin) || margin < 0 || margin > 16) return { ok: false, error: 'invalid_margin' };
+    opts.margin = margin;
+  }
+  if (query.ecl != null) {
+    const ecl = String(query.ecl).toUpperCase();
+    if (!['L', 'M', 'Q', 'H'].includes(ecl)) return { ok: false, error: 'invalid_ecl' };
+    opts.errorCorrectionLevel = ecl;
+  }
+  for (const [key, slot] of [['fg', 'dark'], ['bg', 'light']]) {
+    if (query[key] == null) continue;
+    if (!HEX.test(query[key])) return { ok: false, error: `invalid_${key}` };
+    opts.color[slot] = toHex(query[key]);
+  }
+  if (query.logo != null) {
+    const logo = String(query.logo).toLowerCase();
+    if (!['brand', 'avatar'].includes(logo)) return { ok: false, error: 'invalid_logo' };
+    opts.logo = logo;
+    // the logo hides ~20% of the modules; only H reliably survives that
+    opts.errorCorrectionLevel = 'H';
+  }
+  return { ok: true, opts };
+}
+
+/** Load logo bytes from a local path or an http(s) URL */
+export async function loadLogo(src) {
+  if (!src) return null;
+  try {
+    if (/^https?:\/\//i.test(src)) {
+      const r = await fetch(src, { signal: AbortSignal.timeout(5000) });
+      return r.ok ? Buffer.from(await r.arrayBuffer()) : null;
+    }
+    return await readFile(src);
+  } catch {
+    return null;
+  }
+}
+
+function qrcodeOptions(opts) {
+  return {
+    margin: opts.margin,
+    errorCorrectionLevel: opts.errorCorrectionLevel,
+    color: opts.color,
+    ...(opts.width ? { width: opts.width } : { scale: QR_DEFAULTS.scale }),
+  };
+}
+
+/**
+ * Render `text` as a QR → { body, contentType }.
+ * `logo` (Buffer) is centered on a padded tile covering ~20% of the width.
+ * Throws 422 payload_too_large_for_qr when `text` doesn't fit a QR code, and
+ * 422 invalid_logo when `logo` isn't an image sharp can read.
+ */
+export async function renderQr(text, opts, logo = null) {
+  const encode = (type) => {
+    const fn = type === 'svg' ? QRCode.toString : QRCode.toBuffer;
+    return fn(text, { ...qrcodeOptions(opts), type }).catch((e) => {
+      throw /too big/i.test(e.message) ? httpError(422, 'payload_too_large_for_qr') : e;
+    });
+  };
+  const overlay = (fn, qr) => fn(qr, logo, opts.color.light).catch(() => {
+    throw httpError(422, 'invalid_logo');
+  });
+
+  if (opts.format === 'svg') {
+    let svg = await encode('svg');
+    if (logo) svg = await overlay(overlaySvgLogo, svg);
+    return { body: Buffer.from(svg, 'utf8'), contentType: 'image/svg+xml' };
+  }
+
+  let png = await encode('png');
+  if (logo) png = await overlay(overlayPngLogo, png);
+  return { body: png, contentType: 'image/png' };
+}
+
+async function overlayPngLogo(png, logo, bg) {
+  const { width } = await sharp(png).metadata();
+  const tile = Math.round(width * 0.22);
+  const pad = Math.round(tile * 0.1);
+  const inner = await sharp(logo)
+    .resize(tile - 2 * pad, tile - 2 * pad, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .png()
+    .toBuffer();
+  const plate = await sharp({ create: { width: tile, height: tile, channels: 4, background: bg } })
+    .composite([{ input: inner, top: pad, left: pad }])
+    .png()
+    .toBuffer();
+  const offset = Math.round((width - tile) / 2);
+  return sharp(png).composite([{ input: plate, top: offset, left: offset }]).png().toBuffer();
+}
+
+async function overlaySvgLogo(svg, logo, bg) {
+  const m = svg.match(/viewBox="0 0 (\d+) (\d+)"/);
+  if (!m) return svg;
+  const size = Number(m[1]);
+  const tile = size * 0.22;
+  const pad = tile * 0.1;
+  const at = (size - tile) / 2;
+  const png = await sharp(logo).resize(256, 256, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } }).png().toBuffer();
+  const img = [
+    `<rect x="${at}" y="${at}" width="${tile}" height="${tile}" fill="${bg}"/>`,
+    `<image x="${at + pad}" y="${at + pad}" width="${tile - 2 * pad}" height="${tile - 2 * pad}"`,
+    ` href="data:image/png;base64,${png.toString('base64')}"/>`,
+  ].join('');
+  return svg.replace('</svg>', `${img}</svg>`);
+}
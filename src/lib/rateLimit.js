@@ -0,0 +1,113 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from './db.js';
+import { RATE_LIMIT_STORE } from './config.js';
+import { log, errorFields } from './log.js';
+
+/* ======================  Rate limiting  ======================
+ * Fixed-window counters. A store is `{ hit(key, windowSec) → { count, resetAt } }`.
+ *   memory    per process (default, fine for a single instance)
+ *   postgres  RateLimit table, shared by every instance
+ * Limits are "<max>/<window seconds>" strings (see RATE_LIMITS in config.js).
+ */
+const factories = {
+  memory: () => {
+    const buckets = new Map();
+    // drop expired buckets now and then so the map can't grow forever
+    const timer = setInterval(() => {
+      const now = Date.now();
+      for (const [k, b] of buckets) if (b.resetAt <= now) buckets.delete(k);
+    }, 60_000);
+    timer.unref();
+
+    return {
+      async hit(key, windowSec) {
+        const now = Date.now();
+        let b = buckets.get(key);
+        if (!b || b.resetAt <= now) {
+          b = { count: 0, resetAt: now + windowSec * 1000 };
+          buckets.set(key, b);
+        }
+        b.count++;
+        return { count: b.count, resetAt: new Date(b.resetAt) };
+      },
+    };
+  },
+
+  postgres: () => ({
+    async hit(key, windowSec) {
+      const resetAt = new Date(Date.now() + windowSec * 1000);
+      const [row] = await prisma.$queryRaw(Prisma.sql`
+        INSERT INTO "RateLimit" ("key", "count", "resetAt") VALUES (${key}, 1, ${resetAt})
+        ON CONFLICT ("key") DO UPDATE SET
+          "count"   = CASE WHEN "RateLimit"."resetAt" <= now() THEN 1 ELSE "RateLimit"."count" + 1 END,
+          "resetAt" = CASE WHEN "RateLimit"."resetAt" <= now() THEN EXCLUDED."resetAt" ELSE "RateLimit"."resetAt" END
+        RETURNING "count", "resetAt"`);
+      // expired rows are only overwritten, never read; clean them up occasionally
+      if (Math.random() < 0.01) {
+        prisma.rateLimit.deleteMany({ where: { resetAt: { lt: new Date() } } }).catch(() => {});
+      }
+      return row;
+    },
+  }),
+};
+
+let active = null;
+
+export function registerRateLimitStore(name, factory) {
+  factories[name] = factory;
+}
+
+function store() {
+  if (active) return active;
+  const factory = factories[RATE_LIMIT_STORE];
+  if (!factory) throw new Error(`Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}"`);
+  active = factory();
+  return active;
+}
+
+/** "120/60" → { max: 120, windowSec: 60 } */
+export function parseLimit(spec) {
+  const m = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(String(spec));
+  if (!m || !Number(m[2])) throw new Error(`Invalid rate limit "${spec}" (expected <max>/<seconds>)`);
+  return { max: Number(m[1]), windowSec: Number(m[2]) };
+}
+
+/** Count one hit on `key`; { ok, count, retryAfter (seconds) } */
+export async function hit(key, { max, windowSec }) {
+  const { count, resetAt } = await store().hit(key, windowSec);
+  const retryAfter = Math.max(1, Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000));
+  return { ok: count <= max, count, retryAfter };
+}
+
+/**
+ * Express middleware. Every rule is counted; the first one over its limit answers
+ *   429 { error: 'rate_limited', retryAfter } + Retry-After
+ * A rule's key(req) returning null skips it (e.g. no uid in the body).
+ * Store failures are logged and let the request through.
+ *
+ * @param {string} name  namespace for the counters ("event", "claim", …)
+ * @param {{ by: string, limit: string, key: (req) => string|null }[]} rules
+ */
+export function rateLimit(name, rules) {
+  const parsed = rules.map(r => ({ ...r, ...parseLimit(r.limit) }));
+  return async (req, res, next) => {
+    try {
+      let blocked = null;
+      for (const r of parsed) {
+        const k = r.key(req);
+        if (k == null || k === '') continue;
+        const result = await hit(`${name}:${r.by}:${k}`, r);
+        if (!result.ok && !blocked) blocked = result;
+      }
+      if (blocked) {
+        res.set('Retry-After', String(blocked.retryAfter));
+        return res.status(429).json({ error: 'rate_limited', retryAfter: blocked.retryAfter });
+      }
+    } catch (e) {
+      log.error('rate limit store failed', { requestId: req.id, ...errorFields(e) });
+    }
+    next();
+  };
+}
+
+export const byIp = (req) => req.ip;
@@ -0,0 +1,36 @@
+import { prisma } from './db.js';
+import { EVENT_RETENTION_DAYS } from './config.js';
+import { log, errorFields } from './log.js';
+
+/* ======================  Data retention  ======================
+ * Analytics events older than EVENT_RETENTION_DAYS are deleted: once a day by
+ * the API process (startRetentionJob) and on demand by scripts/purge_events.mjs.
+ */
+
+const DAY_MS = 24 * 3600_000;
+
+/** → { cutoff, deleted } (with dryRun: how many would go); days <= 0 keeps everything */
+export async function purgeEvents({ days = EVENT_RETENTION_DAYS, dryRun = false } = {}) {
+  if (!(days > 0)) return { cutoff: null, deleted: 0 };
+  const cutoff = new Date(Date.now() - days * DAY_MS);
+  const where = { createdAt: { lt: cutoff } };
+  const deleted = dryRun ? await prisma.event.count({ where }) : (await prisma.event.deleteMany({ where })).count;
+  return { cutoff, deleted };
+}
+
+let timer = null;
+
+export function startRetentionJob() {
+  if (timer || !(EVENT_RETENTION_DAYS > 0)) return;
+  const run = () => purgeEvents()
+    .then(r => r.deleted && log.info('events purged', { deleted: r.deleted, cutoff: r.cutoff }))
+    .catch(e => log.error('retention job failed', errorFields(e)));
+  timer = setInterval(run, DAY_MS);
+  timer.unref();
+  setTimeout(run, 60_000).unref();
+}
+
+export function stopRetentionJob() {
+  clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,75 @@
+import { prisma } from './db.js';
+import { adminActor } from './auth.js';
+import { PROFILE_FIELDS, profileOf } from './profile.js';
+import { hasProfileData } from './vcard.js';
+
+/* ======================  Profile revisions  ======================
+ * Every profile write stores a snapshot of the profile *after* the write.
+ * The first write to a card that has no history also stores a "baseline"
+ * snapshot of what was there before (if anything), so older data stays recoverable.
+ */
+
+/** { actorType, actor } for the request: admin key or owner token */
+export function revisionActor(req) {
+  if (req.user) return { actorType: 'owner', actor: req.user.email || `token:${req.user.uid}` };
+  return { actorType: 'admin', actor: adminActor(req) };
+}
+
+/**
+ * @param {object} tx      prisma or a transaction client
+ * @param {object} entry   { uid, before (Card|null), after (Card), source, req, meta?, by? }
+ *                         `by` overrides the actor derived from req ({ actorType, actor })
+ */
+export async function recordRevision(tx, { uid, before, after, source, req, meta = null, by = null }) {
+  const { actorType, actor } = by || revisionActor(req);
+
+  if (before && hasProfileData(before)) {
+    const existing = await tx.revision.count({ where: { uid } });
+    if (!existing) {
+      await tx.revision.create({
+        data: {
+          uid, profile: profileOf(before), source: 'baseline',
+          actorType: 'system', actor: null, ip: null,
+          createdAt: before.updatedAt || undefined,
+        },
+      });
+    }
+  }
+
+  return tx.revision.create({
+    data: { uid, profile: profileOf(after), source, actorType, actor, ip: req.ip, meta },
+  });
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Field-level diff of two profile snapshots → [{ field, from, to }].
+ * socials are compared per network ("socials.linkedin").
+ */
+export function diffProfiles(a = {}, b = {}) {
+  const changes = [];
+  for (const f of PROFILE_FIELDS) {
+    if (f === 'socials') {
+      const sa = a.socials && typeof a.socials === 'object' ? a.socials : {};
+      const sb = b.socials && typeof b.socials === 'object' ? b.socials : {};
+      for (const k of new Set([...Object.keys(sa), ...Object.keys(sb)])) {
+        if (!same(sa[k], sb[k])) changes.push({ field: `socials.${k}`, from: sa[k] ?? null, to: sb[k] ?? null });
+      }
+      continue;
+    }
+    if (!same(a[f], b[f])) changes.push({ field: f, from: a[f] ?? null, to: b[f] ?? null });
+  }
+  return changes;
+}
+
+/** Newest first; `since` leaves out older revisions (an owner only sees their own ownership) */
+export function listRevisions(uid, { take = 50, cursor = null, since = null } = {}) {
+  return prisma.revision.findMany({
+    where: { uid, ...(since ? { createdAt: { gte: since } } : {}) },
+    orderBy: { id: 'desc' },
+    take,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    select: { id: true, source: true, actorType: true, actor: true, ip: true, meta: true, createdAt: true },
+  });
+}
@@ -0,0 +1,99 @@
+import { prisma } from './db.js';
+import { PROFILE_ROUTE, LOGIN_ROUTE, LEADS_ROUTE, RESERVED_SLUGS, SLUG_MAX_REDIRECTS } from './config.js';
+
+/* ======================  Vanity slugs  ======================
+ * A card may have one slug (spexcard.com/alex-cruz). Slugs are stored and
+ * matched lowercase. Renaming or clearing a slug keeps the old one as a
+ * SlugRedirect to the same card, and nobody else can take it while it is
+ * kept. Only the newest SLUG_MAX_REDIRECTS earlier slugs are kept, so
+ * renaming again and again can't reserve an unlimited number of names; a
+ * released slug stops redirecting and can go to another card. That's why
+ * redirects are temporary (302): a cached 301 would keep sending visitors to
+ * the old card after the slug changed hands.
+ */
+
+export const SLUG_MIN = 3;
+export const SLUG_MAX = 32;
+
+const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const firstSegment = (route) => String(route || '').split('/').filter(Boolean)[0];
+
+// top-level frontend/API paths and words that would confuse visitors
+const RESERVED = new Set([
+  'about', 'account', 'admin', 'api', 'app', 'assets', 'auth', 'billing', 'blog', 'c', 'card', 'cards',
+  'claim', 'contact', 'dashboard', 'docs', 'help', 'home', 'index', 'login', 'logout', 'me', 'new',
+  'org', 'orgs', 'privacy', 'pricing', 'profile', 'register', 'root', 'settings', 'signin', 'signup',
+  'shop', 'spex', 'spexcard', 'static', 'status', 'support', 'terms', 'u', 'uploads', 'user', 'www',
+  ...[PROFILE_ROUTE, LOGIN_ROUTE, LEADS_ROUTE].map(firstSegment).filter(Boolean),
+  ...RESERVED_SLUGS,
+]);
+
+export const normalizeSlug = (v) => String(v ?? '').trim().toLowerCase();
+
+/** → { ok: true, slug } | { ok: false, code } (code: invalid_type | too_short | too_long | invalid_slug | reserved) */
+export function validateSlug(v) {
+  if (typeof v !== 'string') return { ok: false, code: 'invalid_type' };
+  const slug = normalizeSlug(v);
+  if (slug.length < SLUG_MIN) return { ok: false, code: 'too_short', min: SLUG_MIN };
+  if (slug.length > SLUG_MAX) return { ok: false, code: 'too_long', max: SLUG_MAX };
+  if (!SLUG_RE.test(slug)) return { ok: false, code: 'invalid_slug' };
+  if (RESERVED.has(slug)) return { ok: false, code: 'reserved' };
+  return { ok: true, slug };
+}
+
+/**
+ * The card behind a slug, current or earlier.
+ * → { card, redirect: false } | { card, redirect: true } | null
+ */
+export async function findBySlug(raw, { include } = {}) {
+  const slug = normalizeSlug(raw);
+  if (!slug || slug.length > SLUG_MAX) return null;
+  const card = await prisma.card.findUnique({ where: { slug }, include });
+  if (card) return { card, redirect: false };
+  const old = await prisma.slugRedirect.findUnique({ where: { slug }, include: { card: { include } } });
+  return old ? { card: old.card, redirect: true } : null;
+}
+
+/**
+ * Point `uid` at `slug` (null clears it). The previous slug becomes a
+ * redirect (the oldest redirect past SLUG_MAX_REDIRECTS is released);
+ * taking back one of the card's own earlier slugs is allowed.
+ * Throws { code: 'slug_taken' } when another card has (or had) it.
+ * → { slug, previous }
+ */
+export async function setSlug(tx, uid, slug) {
+  const card = await tx.card.findUnique({ where: { uid }, select: { slug: true } });
+  if (card.slug === slug) return { slug, previous: card.slug };
+
+  if (slug) {
+    const [current, old] = await Promise.all([
+      tx.card.findUnique({ where: { slug }, select: { uid: true } }),
+      tx.slugRedirect.findUnique({ where: { slug } }),
+    ]);
+    if ((current && current.uid !== uid) || (old && old.uid !== uid))
+      throw Object.assign(new Error('slug_taken'), { code: 'slug_taken' });
+    if (old) await tx.slugRedirect.delete({ where: { slug } });
+  }
+  if (card.slug) {
+    await tx.slugRedirect.create({ data: { slug: card.slug, uid } });
+    const released = await tx.slugRedirect.findMany({
+      where: { uid },
+      orderBy: { createdAt: 'desc' },
+      skip: SLUG_MAX_REDIRECTS,
+      select: { slug: true },
+    });
+    if (released.length) await tx.slugRedirect.deleteMany({ where: { slug: { in: released.map(r => r.slug) } } });
+  }
+  await tx.card.update({ where: { uid }, data: { slug } });
+  return { slug, previous: card.slug };
+}
+
+/** Earlier slugs of a card, newest first */
+export function slugHistory(uid) {
+  return prisma.slugRedirect.findMany({
+    where: { uid },
+    orderBy: { createdAt: 'desc' },
+    select: { slug: true, createdAt: true },
+  });
+}
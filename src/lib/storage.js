@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  JWT_SECRET, STORAGE_DRIVER, STORAGE_PUBLIC_BASE, STORAGE_SIGNED_URLS, STORAGE_SIGNED_TTL_SEC,
+  UPLOAD_DIR, S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+  S3_FORCE_PATH_STYLE, S3_PREFIX,
+} from './config.js';
+
+/* ======================  Upload storage  ======================
+ * A driver stores flat file names ("1759-abc-256.jpg"):
+ *   put(name, body, contentType)  get(name) → Buffer|null  remove(name)
+ *   list() → [{ name, size, modifiedAt }]  signedUrl(name, ttlSec)
+ * Public URLs are always STORAGE_PUBLIC_BASE/<name>, so a CDN can sit in front.
+ * Pick one with STORAGE_DRIVER; add more with registerStorageDriver().
+ */
+
+const localSignature = (name, exp) =>
+  crypto.createHmac('sha256', JWT_SECRET).update(`${name}:${exp}`).digest('base64url');
+
+/** ?exp=&sig= issued by the local driver's signedUrl() */
+export function verifyLocalSignature(name, { exp, sig } = {}) {
+  if (!exp || !sig || Number(exp) * 1000 < Date.now()) return false;
+  const want = Buffer.from(localSignature(name, String(exp)));
+  const got = Buffer.from(String(sig));
+  return want.length === got.length && crypto.timingSafeEqual(want, got);
+}
+
+const factories = {
+  // files under UPLOAD_DIR, served by express.static at /uploads
+  local: ({ dir = UPLOAD_DIR } = {}) => ({
+    async put(name, body) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, name), body);
+    },
+    async get(name) {
+      try {
+        return await fs.readFile(path.join(dir, name));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async remove(name) {
+      await fs.rm(path.join(dir, name), { force: true });
+    },
+    async list() {
+      let names;
+      try {
+        names = await fs.readdir(dir);
+      } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+      }
+      const out = [];
+      for (const name of names) {
+        if (name.startsWith('.')) continue;
+        const st = await fs.stat(path.join(dir, name));
+        if (st.isFile()) out.push({ name, size: st.size, modifiedAt: st.mtime });
+      }
+      return out;
+    },
+    async signedUrl(name, ttlSec) {
+      const exp = Math.floor(Date.now() / 1000) + ttlSec;
+      return `${publicUrl(name)}?exp=${exp}&sig=${localSignature(name, String(exp))}`;
+    },
+  }),
+
+  // any S3 API: AWS, MinIO, R2 … (see S3_* in config.js)
+  s3: async () => {
+    if (!S3_BUCKET) throw new Error('S3_BUCKET is required for STORAGE_DRIVER=s3');
+    const s3 = await import('@aws-sdk/client-s3');
+    const { getSignedUrl } = await import('@aws-sdk/s3-request-presigner');
+    const client = new s3.S3Client({
+      region: S3_REGION,
+      ...(S3_ENDPOINT ? { endpoint: S3_ENDPOINT } : {}),
+      forcePathStyle: S3_FORCE_PATH_STYLE,
+      ...(S3_ACCESS_KEY_ID
+        ? { credentials: { accessKeyId: S3_ACCESS_KEY_ID, secretAccessKey: S3_SECRET_ACCESS_KEY } }
+        : {}),
+    });
+    const Key = (name) => `${S3_PREFIX}${name}`;
+
+    return {
+      async put(name, body, contentType) {
+        await client.send(new s3.PutObjectCommand({
+          Bucket: S3_BUCKET,
+          Key: Key(name),
+          Body: body,
+          ContentType: contentType,
+          // names are never reused, so caches may keep them forever
+          CacheControl: 'public, max-age=31536000, immutable',
+        }));
+      },
+      async get(name) {
+        try {
+          const r = await client.send(new s3.GetObjectCommand({ Bucket: S3_BUCKET, Key: Key(name) }));
+          return Buffer.from(await r.Body.transformToByteArray());
+        } catch (e) {
+          if (e.name === 'NoSuchKey' || e.$metadata?.httpStatusCode === 404) return null;
+          throw e;
+        }
+      },
+      async remove(name) {
+        await client.send(new s3.DeleteObjectCommand({ Bucket: S3_BUCKET, Key: Key(name) }));
+      },
+      async list() {
+        const out = [];
+        let ContinuationToken;
+        do {
+          const page = await client.send(new s3.ListObjectsV2Command({
+            Bucket: S3_BUCKET, Prefix: S3_PREFIX || undefined, ContinuationToken,
+          }));
+          for (const o of page.Contents || []) {
+            const name = o.Key.slice(S3_PREFIX.length);
+            if (name && !name.includes('/')) out.push({ name, size: o.Size, modifiedAt: o.LastModified });
+          }
+          ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+        return out;
+      },
+      signedUrl(name, ttlSec) {
+        return getSignedUrl(client, new s3.GetObjectCommand({ Bucket: S3_BUCKET, Key: Key(name) }), { expiresIn: ttlSec });
+      },
+    };
+  },
+};
+
+let active = null;
+
+export function registerStorageDriver(name, factory) {
+  factories[name] = factory;
+}
+
+/** A fresh driver instance, e.g. createStorage('local', { dir }) for migrations */
+export async function createStorage(name, options) {
+  const factory = factories[name];
+  if (!factory) throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+  return factory(options);
+}
+
+/** The configured driver (STORAGE_DRIVER) */
+export async function storage() {
+  if (!active) active = await createStorage(STORAGE_DRIVER);
+  return active;
+}
+
+export const publicUrl = (name) => `${STORAGE_PUBLIC_BASE}/${name}`;
+
+/** Stored file name for one of our public URLs (signed or not); null for anything else */
+export function storedName(url) {
+  if (typeof url !== 'string') return null;
+  const prefix = `${STORAGE_PUBLIC_BASE}/`;
+  const name = url.startsWith(prefix) ? url.slice(prefix.length).split(/[?#]/)[0] : presignedKey(url);
+  return name && !name.includes('/') ? name : null;
+}
+
+// file name inside an S3 presigned URL for our bucket (virtual-host or path style)
+function presignedKey(url) {
+  if (!S3_BUCKET) return null;
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return null;
+  }
+  if (!u.searchParams.has('X-Amz-Signature')) return null;
+  let key = decodeURIComponent(u.pathname.slice(1));
+  if (!u.hostname.startsWith(`${S3_BUCKET}.`)) {
+    if (!key.startsWith(`${S3_BUCKET}/`)) return null;
+    key = key.slice(S3_BUCKET.length + 1);
+  }
+  return key.startsWith(S3_PREFIX) ? key.slice(S3_PREFIX.length) : null;
+}
+
+/**
+ * What to store for an incoming image URL: with STORAGE_SIGNED_URLS, clients
+ * send back the signed URLs presentUrl() gave them, which expire — keep the
+ * public URL of the file instead. Anything else is returned as is.
+ */
+export function canonicalUrl(url) {
+  if (!STORAGE_SIGNED_URLS) return url;
+  const name = storedName(url);
+  return name ? publicUrl(name) : url;
+}
+
+/**
+ * URL to hand to clients for a stored image: the public URL, or a signed one
+ * (STORAGE_SIGNED_TTL_SEC) when STORAGE_SIGNED_URLS is on. Foreign URLs pass through.
+ */
+export async function presentUrl(url) {
+  if (!STORAGE_SIGNED_URLS) return url;
+  const name = storedName(url);
+  if (!name) return url;
+  return (await storage()).signedUrl(name, STORAGE_SIGNED_TTL_SEC);
+}
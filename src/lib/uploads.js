@@ -0,0 +1,89 @@
+import path from 'path';
+import { customAlphabet } from 'nanoid';
+import { prisma } from './db.js';
+import { storage, publicUrl } from './storage.js';
+import { UPLOAD_ORPHAN_GRACE_HOURS } from './config.js';
+
+/* ======================  Uploaded images  ======================
+ * One upload = one `key` ("<ms>-<id>") shared by all of its files:
+ *   <key>.jpg  <key>-256.jpg  <key>-128.jpg  <key>.webp
+ * Card.imageUrl points at <key>.jpg; the other files are found by key.
+ * Files live in the configured storage driver (see storage.js).
+ */
+
+// no "-" so a key can never be mistaken for a size suffix
+const uploadId = customAlphabet('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz', 8);
+
+/** "…/uploads/1759-abc-256.jpg" or a bare file name → "1759-abc" */
+export function uploadKeyOf(ref) {
+  if (!ref) return null;
+  let name = String(ref);
+  try { name = new URL(name).pathname; } catch { /* bare name */ }
+  name = path.posix.basename(name);
+  return name.replace(/\.[^.]+$/, '').replace(/-(256|128)$/, '') || null;
+}
+
+/**
+ * Writes processed variants (see processAvatar) and records the Upload row.
+ * @returns {{ key, url, variants: Record<string,string> }}
+ */
+export async function saveUpload(variants, { uid, actorType, actor = null, ip = null }) {
+  const key = `${Date.now()}-${uploadId()}`;
+  const store = await storage();
+
+  const files = [];
+  let bytes = 0;
+  for (const v of variants) {
+    const file = `${key}${v.suffix}${v.ext}`;
+    await store.put(file, v.body, v.contentType);
+    files.push(file);
+    bytes += v.body.length;
+  }
+  await prisma.upload.create({ data: { key, uid, files, bytes, actorType, actor, ip } });
+
+  const urls = Object.fromEntries(files.map(f => [
+    f.endsWith('.webp') ? 'webp' : (f.match(/-(256|128)\.jpg$/)?.[1] || '512'),
+    publicUrl(f),
+  ]));
+  return { key, url: urls['512'], variants: urls };
+}
+
+/**
+ * Deletes upload files that no Card.imageUrl, Organization.imageUrl (org logo)
+ * or revision profile references: a restored revision gets its photo back.
+ * Files younger than `graceHours` are kept (uploaded but not saved to a profile yet).
+ * @returns {{ dryRun, scanned, kept, removed: string[], bytes }}
+ */
+export async function sweepOrphans({ dryRun = false, graceHours = UPLOAD_ORPHAN_GRACE_HOURS } = {}) {
+  const where = { imageUrl: { not: null } };
+  const select = { imageUrl: true };
+  const [cards, orgs, revisions] = await Promise.all([
+    prisma.card.findMany({ where, select }),
+    prisma.organization.findMany({ where, select }),
+    prisma.$queryRaw`
+      SELECT DISTINCT "profile"->>'imageUrl' AS "imageUrl"
+      FROM "Revision" WHERE "profile"->>'imageUrl' IS NOT NULL`,
+  ]);
+  const referenced = new Set([...cards, ...orgs, ...revisions].map(c => uploadKeyOf(c.imageUrl)).filter(Boolean));
+  const cutoff = Date.now() - graceHours * 3600_000;
+
+  const store = await storage();
+  const removed = [];
+  const orphanKeys = new Set();
+  let kept = 0;
+  let bytes = 0;
+  for (const f of await store.list()) {
+    const key = uploadKeyOf(f.name);
+    if (referenced.has(key) || new Date(f.modifiedAt).getTime() > cutoff) { kept++; continue; }
+
+    if (!dryRun) await store.remove(f.name);
+    removed.push(f.name);
+    orphanKeys.add(key);
+    bytes += f.size;
+  }
+
+  if (!dryRun && orphanKeys.size) {
+    await prisma.upload.deleteMany({ where: { key: { in: [...orphanKeys] } } });
+  }
+  return { dryRun, scanned: removed.length + kept, kept, removed, bytes };
+}
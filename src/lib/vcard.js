@@ -0,0 +1,274 @@
+/**
+ * SPEX – vCard builder (RFC 2426 / vCard 3.0 and RFC 6350 / vCard 4.0)
+ *
+ * Shared by the API (.vcf route) and the scripts in /scripts.
+ * Handles text escaping, line folding (75 octets, UTF-8 safe), structured N,
+ * labeled phones/emails/urls/addresses, PHOTO (inline base64 or URI) and socials.
+ */
+import { contactsOf, isMobileLabel } from './profile.js';
+
+const CRLF = '\r\n';
+
+/** Determine if we have enough data to build a useful vCard */
+export function hasProfileData(c) {
+  return !!(
+    c?.name || c?.mobile || c?.phone || c?.email ||
+    c?.company || c?.title || c?.website || c?.address || c?.imageUrl ||
+    c?.phones?.length || c?.emails?.length || c?.urls?.length || c?.addresses?.length
+  );
+}
+
+/* ----------------------- escaping & folding ----------------------- */
+/** Escape a TEXT value: backslash, newline, comma, semicolon */
+export function vEscape(s = '') {
+  return String(s ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\r\n|\n|\r/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+}
+
+/** Raw (URI) values are not escaped, but must never break out of their line */
+const oneLine = (s = '') => String(s ?? '').replace(/[\r\n]+/g, '').trim();
+
+/** Fold a content line at 75 octets without splitting a UTF-8 sequence */
+export function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const out = [];
+  let chunk = '';
+  let size = 0;
+  let limit = 75; // continuation lines lose one octet to the leading space
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch, 'utf8');
+    if (size + n > limit) {
+      out.push(chunk);
+      chunk = '';
+      size = 0;
+      limit = 74;
+    }
+    chunk += ch;
+    size += n;
+  }
+  out.push(chunk);
+  return out.join(CRLF + ' ');
+}
+
+/* ----------------------------- names ----------------------------- */
+const PREFIXES = new Set(['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'atty', 'engr', 'arch', 'rev', 'hon', 'sir']);
+const SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'v', 'phd', 'md', 'cpa', 'esq', 'rn', 'mba']);
+const PARTICLES = new Set(['de', 'dela', 'del', 'della', 'delos', 'los', 'la', 'le', 'da', 'das', 'do', 'dos', 'di', 'du', 'van', 'von', 'der', 'den', 'ter', 'bin', 'binti', 'al', 'st', 'san', 'santa']);
+
+const bare = (w) => w.toLowerCase().replace(/[.,]/g, '');
+
+/**
+ * Split a display name into the five N components.
+ * "Dr. Maria Clara de la Cruz Jr." → { prefix: 'Dr.', given: 'Maria', additional: 'Clara',
+ *   family: 'de la Cruz', suffix: 'Jr.' }. "Cruz, Maria" is read as family, given.
+ */
+export function splitName(name = '') {
+  const full = String(name || '').trim().replace(/\s+/g, ' ');
+  const [head, tail = ''] = full.split(/,(.*)/s).map(s => s.trim());
+  const tailWords = tail.split(' ').filter(Boolean);
+
+  // "Juan Cruz, Jr." → the comma only introduces a suffix
+  if (tailWords.length && tailWords.every(w => SUFFIXES.has(bare(w)))) {
+    const n = splitWords(head.split(' ').filter(Boolean));
+    return { ...n, suffix: [n.suffix, ...tailWords].filter(Boolean).join(' ') };
+  }
+  // "Cruz, Maria Clara" → family first
+  if (tail) {
+    const n = splitWords(tailWords, { family: false });
+    return { ...n, family: head };
+  }
+  return splitWords(full ? full.split(' ') : []);
+}
+
+function splitWords(input, { family = true } = {}) {
+  const words = [...input];
+  const prefix = [];
+  const suffix = [];
+  while (words.length > 1 && PREFIXES.has(bare(words[0]))) prefix.push(words.shift());
+  while (words.length > 1 && SUFFIXES.has(bare(words[words.length - 1]))) suffix.unshift(words.pop());
+
+  // family name = last word plus any lowercase particles right before it
+  let i = words.length;
+  if (family && words.length > 1) {
+    i = words.length - 1;
+    while (i > 1 && PARTICLES.has(bare(words[i - 1]))) i--;
+  }
+
+  return {
+    family: words.slice(i).join(' '),
+    given: words[0] || '',
+    additional: words.slice(1, i).join(' '),
+    prefix: prefix.join(' '),
+    suffix: suffix.join(' '),
+  };
+}
+
+/* ---------------------------- socials ---------------------------- */
+/**
+ * Normalize `socials` JSON into [{ type, url }].
+ * Accepts { linkedin: 'https://…', custom: [{ label, url }] } or [{ type|network|label, url }].
+ */
+export function socialEntries(socials) {
+  if (!socials || typeof socials !== 'object') return [];
+  const fromList = (arr) => arr.map(s => ({ type: s?.type || s?.network || s?.label, url: s?.url || s?.value }));
+  const list = Array.isArray(socials)
+    ? fromList(socials)
+    : Object.entries(socials).flatMap(([type, url]) =>
+      type === 'custom' && Array.isArray(url) ? fromList(url) : [{ type, url }]);
+  return list
+    .filter(s => typeof s.url === 'string' && s.url.trim())
+    .map(s => ({
+      type: String(s.type || 'other').toLowerCase().replace(/[^a-z0-9-]/g, '') || 'other',
+      url: oneLine(s.url),
+    }));
+}
+
+/* ----------------------------- photo ----------------------------- */
+const PHOTO_TYPES = { 'image/jpeg': 'JPEG', 'image/png': 'PNG', 'image/gif': 'GIF', 'image/webp': 'WEBP' };
+
+/**
+ * Fetch an image for inline embedding → { mime, data (base64) } or null.
+ * Capped at `maxBytes` so a huge upload can't bloat the .vcf.
+ */
+export async function fetchPhoto(url, { maxBytes = 512 * 1024, timeoutMs = 5000 } = {}) {
+  if (!url || !/^https?:\/\//i.test(url)) return null;
+  try {
+    const r = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!r.ok) return null;
+    const mime = (r.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!PHOTO_TYPES[mime]) return null;
+    const buf = Buffer.from(await r.arrayBuffer());
+    if (buf.length > maxBytes) return null;
+    return { mime, data: buf.toString('base64') };
+  } catch {
+    return null;
+  }
+}
+
+function photoLine(card, version, photo) {
+  if (photo && typeof photo === 'object' && photo.data) {
+    return version === '4.0'
+      ? `PHOTO:data:${photo.mime};base64,${photo.data}`
+      : `PHOTO;ENCODING=b;TYPE=${PHOTO_TYPES[photo.mime] || 'JPEG'}:${photo.data}`;
+  }
+  if (photo && card.imageUrl) {
+    return version === '4.0'
+      ? `PHOTO:${oneLine(card.imageUrl)}`
+      : `PHOTO;VALUE=uri:${oneLine(card.imageUrl)}`;
+  }
+  return null;
+}
+
+/* ---------------------------- builder ---------------------------- */
+const telUri = (s) => `tel:${String(s).replace(/[^\d+#*,;a-zA-Z]/g, '')}`;
+
+// labels with a standard TYPE; anything else is shown via an X-ABLabel item (Apple/Google convention)
+const TEL_TYPES = { work: 'work', office: 'work', home: 'home', fax: 'fax', pager: 'pager' };
+const EMAIL_TYPES = { work: 'work', home: 'home', personal: 'home' };
+const ADR_TYPES = { work: 'work', office: 'work', home: 'home' };
+const typeOf = (map, label) => map[String(label || '').trim().toLowerCase()] || null;
+
+/**
+ * One line per entry of a labeled list. `param(type)` renders the TYPE
+ * parameter; entries without a standard type get "itemN." + X-ABLabel.
+ */
+function labeled(lines, items, name, param, value, counter) {
+  for (const { label, type, val } of items) {
+    if (type !== null) {
+      lines.push(`${name}${param(type)}:${value(val)}`);
+      continue;
+    }
+    const item = `item${++counter.n}`;
+    lines.push(`${item}.${name}${param(null)}:${value(val)}`);
+    lines.push(`${item}.X-ABLabel:${vEscape(label)}`);
+  }
+}
+
+/**
+ * Build a folded vCard string from a Card row.
+ *
+ * @param {object} card  Card row (name, company, title, phones/emails/urls/addresses/links or the flat
+ *                       mobile, phone, email, website, address; socials, imageUrl, note?)
+ * @param {object} [opts]
+ * @param {'3.0'|'4.0'} [opts.version='3.0']
+ * @param {false|'uri'|{mime:string,data:string}} [opts.photo=false]  omit, link to imageUrl, or embed (see fetchPhoto)
+ * @param {boolean} [opts.socials=true]  socials and link buttons (off for QR payloads)
+ */
+export function buildVCard(card, { version = '3.0', photo = false, socials = true } = {}) {
+  const v4 = version === '4.0';
+  const name = (card.name || '').trim();
+  const n = splitName(name);
+
+  const lines = ['BEGIN:VCARD', `VERSION:${v4 ? '4.0' : '3.0'}`];
+  if (v4) lines.push('KIND:individual');
+  lines.push(`N:${[n.family, n.given, n.additional, n.prefix, n.suffix].map(vEscape).join(';')}`);
+  lines.push(`FN:${vEscape(name || card.company || card.email || '')}`);
+
+  if (card.company) lines.push(`ORG:${vEscape(card.company)}`);
+  if (card.title)   lines.push(`TITLE:${vEscape(card.title)}`);
+
+  const c = contactsOf(card);
+  const counter = { n: 0 };
+
+  const phones = c.phones.map(p => ({
+    label: p.label, val: p.number, type: isMobileLabel(p.label) ? 'cell' : typeOf(TEL_TYPES, p.label),
+  }));
+  const emails = c.emails.map(e => ({ label: e.label, val: e.address, type: typeOf(EMAIL_TYPES, e.label) }));
+  if (v4) {
+    labeled(lines, phones, 'TEL', t => (t === 'fax' ? ';TYPE=fax' : `;TYPE="${t || 'voice'}${t ? ',voice' : ''}"`) + ';VALUE=uri', telUri, counter);
+    labeled(lines, emails, 'EMAIL', t => (t ? `;TYPE=${t}` : ''), vEscape, counter);
+  } else {
+    labeled(lines, phones, 'TEL', t => (t === 'fax' ? ';TYPE=FAX' : `;TYPE=${t ? `${t.toUpperCase()},` : ''}VOICE`), vEscape, counter);
+    labeled(lines, emails, 'EMAIL', t => `;TYPE=INTERNET${t ? `,${t.toUpperCase()}` : ''}`, vEscape, counter);
+  }
+
+  // the first url is the plain website; others carry their label
+  c.urls.forEach((u, i) => {
+    if (i === 0) lines.push(`URL:${oneLine(u.url)}`);
+    else labeled(lines, [{ label: u.label, val: u.url, type: null }], 'URL', () => '', oneLine, counter);
+  });
+
+  // ADR: ;;street;city;region;postal code;country (a free-text address is all street)
+  const adr = c.addresses.map(a => ({
+    label: a.label,
+    type: typeOf(ADR_TYPES, a.label),
+    val: ['', '', a.street, a.city, a.region, a.postalCode, a.country].map(v => vEscape(v || '')).join(';'),
+  }));
+  labeled(lines, adr, 'ADR', t => (t ? `;TYPE=${v4 ? t : t.toUpperCase()}` : ''), v => v, counter);
+
+  if (socials) {
+    for (const s of socialEntries(card.socials)) {
+      lines.push(v4 ? `URL;TYPE=${s.type}:${s.url}` : `X-SOCIALPROFILE;TYPE=${s.type}:${s.url}`);
+    }
+    labeled(lines, c.links.map(l => ({ label: l.label, val: l.url, type: null })), 'URL', () => '', oneLine, counter);
+  }
+
+  if (card.note) lines.push(`NOTE:${vEscape(card.note)}`);
+
+  const p = photoLine(card, v4 ? '4.0' : '3.0', photo);
+  if (p) lines.push(p);
+
+  if (card.updatedAt) {
+    lines.push(`REV:${new Date(card.updatedAt).toISOString().replace(/[-:]|\.\d{3}/g, '')}`);
+  }
+  lines.push('END:VCARD');
+
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+/**
+ * Pick the vCard version for a request: ?version=4.0 wins, then
+ * `Accept: text/vcard; version=4.0`, else 3.0 (widest client support).
+ */
+export function negotiateVersion(req) {
+  const q = String(req.query?.version || '').trim();
+  if (q) return q.startsWith('4') ? '4.0' : '3.0';
+  const accept = String(req.headers?.accept || '');
+  const m = accept.match(/text\/(?:x-)?vcard[^,]*version="?([34])/i);
+  return m && m[1] === '4' ? '4.0' : '3.0';
+}
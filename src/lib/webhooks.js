@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import { Prisma } from '@prisma/client';
+import { nanoid } from 'nanoid';
+import { prisma } from './db.js';
+import { profileOf } from './profile.js';
+import { diffProfiles } from './revisions.js';
+import { log, errorFields } from './log.js';
+import { WEBHOOK_POLL_MS, WEBHOOK_TIMEOUT_MS, WEBHOOK_MAX_ATTEMPTS } from './config.js';
+
+/* ======================  Outgoing webhooks  ======================
+ * Routes call enqueueWebhook(tx, event, data) inside the transaction that made
+ * the change, so a delivery row exists iff the change committed (outbox).
+ * The worker POSTs due rows:
+ *
+ *   { id, event, createdAt, data }
+ *   X-Spex-Event, X-Spex-Delivery, X-Spex-Timestamp
+ *   X-Spex-Signature: sha256=<hex HMAC of "<timestamp>.<body>" with the webhook secret>
+ *
+ * Non-2xx / network errors retry with exponential backoff (30s · 2^n, max 6h)
+ * up to WEBHOOK_MAX_ATTEMPTS, then the row is marked failed.
+ */
+
+export const WEBHOOK_EVENTS = ['card.claimed', 'card.updated', 'card.scanned'];
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * One outbox row per active webhook subscribed to `event`.
+ * @param {object} tx  prisma or a transaction client
+ */
+export async function enqueueWebhook(tx, event, data) {
+  const hooks = await tx.webhook.findMany({
+    where: { active: true, events: { has: event } },
+    select: { id: true },
+  });
+  if (!hooks.length) return;
+  const eventId = `evt_${nanoid(16)}`;
+  const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+  await tx.webhookDelivery.createMany({
+    data: hooks.map(h => ({ webhookId: h.id, eventId, event, payload })),
+  });
+}
+
+/** card.updated after a profile write; nothing is queued when no field changed */
+export function enqueueCardUpdated(tx, { before, after, source }) {
+  const changes = diffProfiles(profileOf(before || {}), profileOf(after));
+  if (!changes.length) return null;
+  return enqueueWebhook(tx, 'card.updated', { uid: after.uid, source, profile: profileOf(after), changes });
+}
+
+/** Delay before attempt n+1 (n = attempts so far) */
+export function backoffMs(attempts) {
+  const base = Math.min(30_000 * 2 ** Math.max(attempts - 1, 0), 6 * 3600_000);
+  return base + Math.floor(Math.random() * base * 0.1);
+}
+
+/** POST one delivery now and record the outcome */
+export async function attemptDelivery(id) {
+  const d = await prisma.webhookDelivery.findUnique({ where: { id }, include: { webhook: true } });
+  if (!d || d.status !== 'pending') return null;
+
+  const body = JSON.stringify(d.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  let status = null;
+  let error = null;
+  let response = null;
+  try {
+    const r = await fetch(d.webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'spex-webhooks/1',
+        'X-Spex-Event': d.event,
+        'X-Spex-Delivery': String(d.id),
+        'X-Spex-Timestamp': String(timestamp),
+        'X-Spex-Signature': signPayload(d.webhook.secret, timestamp, body),
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    status = r.status;
+    response = (await r.text().catch(() => '')).slice(0, 1000);
+    if (!r.ok) error = `HTTP ${r.status}`;
+  } catch (e) {
+    error = e.name === 'TimeoutError' ? 'timeout' : e.message.slice(0, 500);
+  }
+
+  const attempts = d.attempts + 1;
+  const data = { attempts, lastStatus: status, lastError: error, lastResponse: response };
+  if (!error) Object.assign(data, { status: 'delivered', deliveredAt: new Date() });
+  else if (attempts >= WEBHOOK_MAX_ATTEMPTS) data.status = 'failed';
+  else data.nextAttemptAt = new Date(Date.now() + backoffMs(attempts));
+
+  return prisma.webhookDelivery.update({ where: { id }, data });
+}
+
+/**
+ * nextAttemptAt for a row this process is about to send itself (redeliver,
+ * ping): the worker leaves it alone until then, and retries it if we die
+ * mid-send. Same 5 minutes as claimDue's lease.
+ */
+export const leaseUntil = () => new Date(Date.now() + 5 * 60_000);
+
+/**
+ * Lease up to `limit` due rows (safe with several API instances: SKIP LOCKED,
+ * and the lease pushes nextAttemptAt out in case this process dies mid-send).
+ */
+async function claimDue(limit = 20) {
+  const rows = await prisma.$queryRaw(Prisma.sql`
+    UPDATE "WebhookDelivery" SET "nextAttemptAt" = now() + interval '5 minutes'
+    WHERE "id" IN (
+      SELECT "id" FROM "WebhookDelivery"
+      WHERE "status" = 'pending' AND "nextAttemptAt" <= now()
+      ORDER BY "nextAttemptAt"
+      LIMIT ${limit}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING "id"`);
+  return rows.map(r => r.id);
+}
+
+let timer = null;
+let running = false;
+
+export async function processDueDeliveries() {
+  if (running) return 0;
+  running = true;
+  try {
+    const ids = await claimDue();
+    for (const id of ids) await attemptDelivery(id);
+    return ids.length;
+  } finally {
+    running = false;
+  }
+}
+
+export function startWebhookWorker() {
+  if (timer) return;
+  timer = setInterval(() => {
+    processDueDeliveries().catch(e => log.error('webhook worker failed', errorFields(e)));
+  }, WEBHOOK_POLL_MS);
+  timer.unref();
+}
+
+/** Stops polling; resolves once a batch of deliveries in progress is done */
+export async function stopWebhookWorker() {
+  clearInterval(timer);
+  timer = null;
+  while (running) await new Promise(resolve => setTimeout(resolve, 100));
+}
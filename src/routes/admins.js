@@ -0,0 +1,187 @@
+import express from 'express';
+import { prisma } from '../lib/db.js';
+import { requireAdmin, resolveAdmin } from '../lib/auth.js';
+import { audit } from '../lib/audit.js';
+import { isValidEmail } from '../lib/profileSchema.js';
+import { SCOPES, ROLES, generateAdminKey, allowedScopes } from '../lib/adminKeys.js';
+import { handleAsync } from '../lib/errors.js';
+
+const router = handleAsync(express.Router());
+
+const KEY_SELECT = {
+  id: true, userId: true, label: true, prefix: true, scopes: true,
+  expiresAt: true, revokedAt: true, lastUsedAt: true, rotatedToId: true, createdAt: true,
+};
+
+const str = (v, max = 200) => (typeof v === 'string' && v.trim() ? v.trim().slice(0, max) : null);
+
+/** { label?, scopes?, expiresInDays? } → AdminKey data, or { error } */
+function keyFields(user, body = {}) {
+  if (body.scopes != null) {
+    if (!Array.isArray(body.scopes) || !body.scopes.length) return { error: 'invalid_scopes' };
+    const unknown = body.scopes.find(s => !SCOPES.includes(s));
+    if (unknown) return { error: 'unknown_scope', scope: unknown };
+    const denied = body.scopes.find(s => !ROLES[user.role]?.includes(s));
+    if (denied) return { error: 'scope_not_allowed_for_role', scope: denied };
+  }
+  let expiresAt = null;
+  if (body.expiresInDays != null) {
+    const days = Number(body.expiresInDays);
+    if (!(days > 0)) return { error: 'invalid_expiresInDays' };
+    expiresAt = new Date(Date.now() + days * 86_400_000);
+  }
+  return { label: str(body.label), scopes: allowedScopes(user.role, body.scopes), expiresAt };
+}
+
+async function createKey(tx, user, fields) {
+  const { key, prefix, keyHash } = generateAdminKey();
+  const row = await tx.adminKey.create({
+    data: { userId: user.id, prefix, keyHash, ...fields },
+    select: KEY_SELECT,
+  });
+  return { ...row, key };
+}
+
+/* =====================  Admin: who am I  ===================== */
+router.get('/api/admin/me', async (req, res) => {
+  const admin = await resolveAdmin(req);
+  if (!admin) return res.status(401).json({ error: 'admin_only' });
+  res.json(admin);
+});
+
+/* =====================  Admin: users & keys  ===================== */
+router.get('/api/admin/users', requireAdmin('admins:manage'), async (req, res) => {
+  const users = await prisma.adminUser.findMany({
+    orderBy: { name: 'asc' },
+    include: { keys: { select: KEY_SELECT, orderBy: { createdAt: 'desc' } } },
+  });
+  res.json({ rows: users, roles: ROLES, scopes: SCOPES });
+});
+
+// { name, role, email? } — also issues the user's first key (shown once)
+router.post('/api/admin/users', requireAdmin('admins:manage'), async (req, res) => {
+  const name = str(req.body?.name, 100);
+  const role = req.body?.role;
+  const email = str(req.body?.email, 254);
+  if (!name) return res.status(400).json({ error: 'missing_name' });
+  if (!ROLES[role]) return res.status(400).json({ error: 'invalid_role', roles: Object.keys(ROLES) });
+  if (email && !isValidEmail(email)) return res.status(400).json({ error: 'invalid_email' });
+  if (await prisma.adminUser.findUnique({ where: { name } }))
+    return res.status(409).json({ error: 'name_taken' });
+
+  const fields = keyFields({ role }, req.body?.key);
+  if (fields.error) return res.status(400).json(fields);
+
+  const result = await prisma.$transaction(async (tx) => {
+    const user = await tx.adminUser.create({ data: { name, role, email } });
+    const key = await createKey(tx, user, fields);
+    await audit(req, { action: 'admin.user_create', data: { userId: user.id, name, role, keyId: key.id } }, tx);
+    return { user, key };
+  });
+  res.status(201).json(result);
+});
+
+// { role?, email?, disabled? } — disabling a user stops all of their keys
+router.put('/api/admin/users/:id(\\d+)', requireAdmin('admins:manage'), async (req, res) => {
+  const id = Number(req.params.id);
+  const user = await prisma.adminUser.findUnique({ where: { id } });
+  if (!user) return res.status(404).json({ error: 'not_found' });
+
+  const data = {};
+  if (req.body?.role !== undefined) {
+    if (!ROLES[req.body.role]) return res.status(400).json({ error: 'invalid_role', roles: Object.keys(ROLES) });
+    data.role = req.body.role;
+  }
+  if (req.body?.email !== undefined) {
+    const email = str(req.body.email, 254);
+    if (email && !isValidEmail(email)) return res.status(400).json({ error: 'invalid_email' });
+    data.email = email;
+  }
+  if (typeof req.body?.disabled === 'boolean') data.disabledAt = req.body.disabled ? new Date() : null;
+  if (id === req.admin.userId && (data.disabledAt || (data.role && !ROLES[data.role].includes('admins:manage'))))
+    return res.status(409).json({ error: 'cannot_lock_out_self' });
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const u = await tx.adminUser.update({ where: { id }, data });
+    await audit(req, { action: 'admin.user_update', data: { userId: id, ...data } }, tx);
+    return u;
+  });
+  res.json(updated);
+});
+
+// { label?, scopes?, expiresInDays? } → key (shown once)
+router.post('/api/admin/users/:id(\\d+)/keys', requireAdmin('admins:manage'), async (req, res) => {
+  const user = await prisma.adminUser.findUnique({ where: { id: Number(req.params.id) } });
+  if (!user) return res.status(404).json({ error: 'not_found' });
+  if (user.disabledAt) return res.status(409).json({ error: 'user_disabled' });
+
+  const fields = keyFields(user, req.body);
+  if (fields.error) return res.status(400).json(fields);
+
+  const key = await prisma.$transaction(async (tx) => {
+    const k = await createKey(tx, user, fields);
+    await audit(req, { action: 'admin.key_create', data: { userId: user.id, keyId: k.id, scopes: k.scopes } }, tx);
+    return k;
+  });
+  res.status(201).json(key);
+});
+
+router.post('/api/admin/keys/:id(\\d+)/revoke', requireAdmin('admins:manage'), async (req, res) => {
+  const id = Number(req.params.id);
+  const key = await prisma.adminKey.findUnique({ where: { id }, select: KEY_SELECT });
+  if (!key) return res.status(404).json({ error: 'not_found' });
+  if (key.revokedAt) return res.status(409).json({ error: 'already_revoked' });
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const k = await tx.adminKey.update({ where: { id }, data: { revokedAt: new Date() }, select: KEY_SELECT });
+    await audit(req, { action: 'admin.key_revoke', data: { keyId: id } }, tx);
+    return k;
+  });
+  res.json(updated);
+});
+
+/**
+ * New key with the same user, label and scopes. The old key keeps working for
+ * { graceMinutes } (default 0) so deployments can switch over, then it's revoked.
+ */
+router.post('/api/admin/keys/:id(\\d+)/rotate', requireAdmin('admins:manage'), async (req, res) => {
+  const id = Number(req.params.id);
+  const old = await prisma.adminKey.findUnique({ where: { id }, include: { user: true } });
+  if (!old) return res.status(404).json({ error: 'not_found' });
+  if (old.revokedAt) return res.status(409).json({ error: 'already_revoked' });
+  const grace = Math.min(Math.max(Number(req.body?.graceMinutes) || 0, 0), 7 * 24 * 60);
+
+  const key = await prisma.$transaction(async (tx) => {
+    const k = await createKey(tx, old.user, {
+      label: old.label,
+      scopes: allowedScopes(old.user.role, old.scopes),
+      expiresAt: old.expiresAt,
+    });
+    const until = new Date(Date.now() + grace * 60_000);
+    await tx.adminKey.update({
+      where: { id },
+      data: {
+        rotatedToId: k.id,
+        ...(grace ? { expiresAt: old.expiresAt && old.expiresAt < until ? old.expiresAt : until } : { revokedAt: new Date() }),
+      },
+    });
+    await audit(req, { action: 'admin.key_rotate', data: { from: id, to: k.id, graceMinutes: grace } }, tx);
+    return k;
+  });
+  res.status(201).json(key);
+});
+
+// ?keyId=&take= — newest first
+router.get('/api/admin/access-log', requireAdmin('admins:manage'), async (req, res) => {
+  const take = Math.min(Math.max(Number(req.query.take) || 100, 1), 1000);
+  const keyId = req.query.keyId ? Number(req.query.keyId) : undefined;
+  if (keyId !== undefined && !Number.isInteger(keyId)) return res.status(400).json({ error: 'invalid_keyId' });
+  const rows = await prisma.adminAccess.findMany({
+    where: keyId !== undefined ? { keyId } : {},
+    orderBy: { id: 'desc' },
+    take,
+  });
+  res.json({ rows });
+});
+
+export default router;
@@ -0,0 +1,147 @@
+import express from 'express';
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+import { prisma } from '../lib/db.js';
+import { sendMail } from '../lib/mailer.js';
+import { normalizeEmail, signOwnerToken, requireAuth } from '../lib/auth.js';
+import { managedOrgs } from '../lib/orgs.js';
+import { rateLimit, byIp } from '../lib/rateLimit.js';
+import {
+  FRONTEND_BASE, LOGIN_ROUTE, LOGIN_CODE_TTL_MIN, LOGIN_MAX_ATTEMPTS, RATE_LIMITS,
+} from '../lib/config.js';
+import { handleAsync } from '../lib/errors.js';
+
+const router = handleAsync(express.Router());
+
+const byEmail = (req) => normalizeEmail(req.body?.email);
+
+// mail to any address and guesses at 6-digit codes: both capped per client and per address
+const limitLogin = rateLimit('login', [
+  { by: 'ip', limit: RATE_LIMITS.loginIp, key: byIp },
+  { by: 'email', limit: RATE_LIMITS.loginEmail, key: byEmail },
+]);
+const limitVerify = rateLimit('verify', [
+  { by: 'ip', limit: RATE_LIMITS.verifyIp, key: byIp },
+  { by: 'email', limit: RATE_LIMITS.verifyEmail, key: byEmail },
+]);
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+const codeHash = (email, code) => sha256(`${email}:${code}`);
+
+function ownedCards(email) {
+  return prisma.card.findMany({
+    where: { claimedByEmail: { equals: email, mode: 'insensitive' } },
+    orderBy: { claimedAt: 'asc' },
+    select: { uid: true, slug: true, name: true, company: true, claimedAt: true },
+  });
+}
+
+/* =====================  Owner Sign-in  ===================== */
+/**
+ * Step 1: email a one-time link + 6-digit code to a card owner or org manager.
+ * Always answers { ok: true } so the route can't be used to probe emails.
+ */
+router.post('/api/auth/login', limitLogin, async (req, res) => {
+  const email = normalizeEmail(req.body?.email);
+  if (!email) return res.status(400).json({ error: 'missing_email' });
+
+  const [owns, manages] = await Promise.all([
+    prisma.card.count({ where: { claimedByEmail: { equals: email, mode: 'insensitive' } } }),
+    prisma.orgManager.count({ where: { email } }),
+  ]);
+  if (!owns && !manages) return res.json({ ok: true });
+
+  // don't resend if a code went out in the last minute
+  const recent = await prisma.loginCode.findFirst({
+    where: { email, usedAt: null, createdAt: { gt: new Date(Date.now() - 60_000) } },
+  });
+  if (recent) return res.json({ ok: true });
+
+  const code = String(crypto.randomInt(0, 1_000_000)).padStart(6, '0');
+  const linkToken = nanoid(32);
+  await prisma.loginCode.create({
+    data: {
+      email,
+      codeHash: codeHash(email, code),
+      linkHash: sha256(linkToken),
+      expiresAt: new Date(Date.now() + LOGIN_CODE_TTL_MIN * 60_000),
+      ip: req.ip,
+    },
+  });
+
+  const link = `${FRONTEND_BASE}${LOGIN_ROUTE}?token=${encodeURIComponent(linkToken)}`;
+  await sendMail({
+    to: email,
+    subject: 'Your SPEX sign-in link',
+    text: [
+      'Use this link to sign in and edit your SPEX card:',
+      link,
+      '',
+      `Or enter this code: ${code}`,
+      '',
+      `The link and code expire in ${LOGIN_CODE_TTL_MIN} minutes.`,
+      "If you didn't ask to sign in, you can ignore this email.",
+    ].join('\n'),
+  });
+
+  res.json({ ok: true });
+});
+
+/**
+ * Step 2: exchange { token } (from the link) or { email, code } for an owner authToken.
+ * The token covers every card claimed by that email and the orgs it manages.
+ */
+router.post('/api/auth/verify', limitVerify, async (req, res) => {
+  const { token, code } = req.body || {};
+  const now = new Date();
+  let row = null;
+
+  if (token) {
+    row = await prisma.loginCode.findUnique({ where: { linkHash: sha256(String(token)) } });
+  } else {
+    const email = normalizeEmail(req.body?.email);
+    if (!email || !code) return res.status(400).json({ error: 'missing_params' });
+    row = await prisma.loginCode.findFirst({
+      where: { email, usedAt: null, expiresAt: { gt: now } },
+      orderBy: { createdAt: 'desc' },
+    });
+    if (row && row.codeHash !== codeHash(email, String(code).trim())) {
+      const attempts = row.attempts + 1;
+      await prisma.loginCode.update({
+        where: { id: row.id },
+        // burn the code once it has been guessed at too often
+        data: { attempts, ...(attempts >= LOGIN_MAX_ATTEMPTS ? { usedAt: now } : {}) },
+      });
+      return res.status(401).json({ error: 'invalid_code' });
+    }
+  }
+
+  if (!row || row.usedAt || row.expiresAt <= now)
+    return res.status(401).json({ error: 'token_expired_or_invalid' });
+
+  // single use: only the request that flips usedAt wins
+  const used = await prisma.loginCode.updateMany({
+    where: { id: row.id, usedAt: null },
+    data: { usedAt: now },
+  });
+  if (used.count === 0) return res.status(401).json({ error: 'token_expired_or_invalid' });
+
+  const [cards, orgs] = await Promise.all([ownedCards(row.email), managedOrgs(row.email)]);
+  const authToken = signOwnerToken({ email: row.email });
+  res.json({ email: row.email, authToken, cards, orgs });
+});
+
+// Cards the signed-in owner can edit (and orgs they manage)
+router.get('/api/auth/me', requireAuth, async (req, res) => {
+  if (!req.user.email) {
+    const card = await prisma.card.findUnique({
+      where: { uid: req.user.uid || '' },
+      select: { uid: true, slug: true, name: true, company: true, claimedAt: true },
+    });
+    return res.json({ email: null, cards: card ? [card] : [], orgs: [] });
+  }
+  const [cards, orgs] = await Promise.all([ownedCards(req.user.email), managedOrgs(req.user.email)]);
+  res.json({ email: req.user.email, cards, orgs });
+});
+
+export default router;
@@ -0,0 +1,142 @@
+import express from 'express';
+import { nanoid } from 'nanoid';
+import { prisma } from '../lib/db.js';
+import { requireAdmin, adminActor } from '../lib/auth.js';
+import { newActivation } from '../lib/activation.js';
+import { handleAsync } from '../lib/errors.js';
+
+const router = handleAsync(express.Router());
+
+const MAX_UIDS = 1000;
+
+const str = (v, max = 500) => (typeof v === 'string' && v.trim() ? v.trim().slice(0, max) : null);
+
+function batchFields(body = {}) {
+  return {
+    label: str(body.label, 200),
+    customerRef: str(body.customerRef, 200),
+    orderRef: str(body.orderRef, 200),
+    notes: str(body.notes, 5000),
+  };
+}
+
+/**
+ * Insert `count` fresh UIDs in one statement, attached to `batchId`.
+ * Returns each activation code — the only time it exists in plain text.
+ */
+async function createUids(tx, count, batchId = null) {
+  const rows = Array.from({ length: count }, () => {
+    const uid = nanoid(10);
+    return { uid, ...newActivation(uid) };
+  });
+  await tx.card.createMany({ data: rows.map(r => ({ uid: r.uid, batchId, ...r.data })) });
+  return rows.map(r => ({ uid: r.uid, activationCode: r.code }));
+}
+
+/** { [batchId]: { total, claimed, unclaimed } } */
+async function batchCounts(ids) {
+  const where = { batchId: { in: ids } };
+  const [all, claimed] = await Promise.all([
+    prisma.card.groupBy({ by: ['batchId'], where, _count: { _all: true } }),
+    prisma.card.groupBy({ by: ['batchId'], where: { ...where, claimedAt: { not: null } }, _count: { _all: true } }),
+  ]);
+  const out = {};
+  for (const id of ids) out[id] = { total: 0, claimed: 0, unclaimed: 0 };
+  for (const r of all) out[r.batchId].total = r._count._all;
+  for (const r of claimed) out[r.batchId].claimed = r._count._all;
+  for (const id of ids) out[id].unclaimed = out[id].total - out[id].claimed;
+  return out;
+}
+
+/* =====================  Admin: Batches  ===================== */
+/**
+ * Create loose UIDs, or attach them to a batch.
+ * { count, batchId? } → adds to an existing batch
+ * { count, label, customerRef?, orderRef?, notes? } → new batch
+ */
+router.post('/api/admin/create-uids', requireAdmin('batches:create'), async (req, res) => {
+  const count = Math.min(Math.max(Number(req.body?.count) || 1, 1), MAX_UIDS);
+  const fields = batchFields(req.body);
+  const batchId = req.body?.batchId != null ? Number(req.body.batchId) : null;
+
+  if (batchId != null) {
+    if (!Number.isInteger(batchId)) return res.status(400).json({ error: 'invalid_batch' });
+    const exists = await prisma.batch.findUnique({ where: { id: batchId }, select: { id: true } });
+    if (!exists) return res.status(404).json({ error: 'batch_not_found' });
+  }
+
+  const result = await prisma.$transaction(async (tx) => {
+    let id = batchId;
+    if (id == null && fields.label) {
+      const batch = await tx.batch.create({ data: { ...fields, createdBy: adminActor(req) } });
+      id = batch.id;
+    }
+    const rows = await createUids(tx, count, id);
+    return { batchId: id, rows };
+  });
+
+  res.json({ ok: true, ...result });
+});
+
+router.post('/api/admin/batches', requireAdmin('batches:create'), async (req, res) => {
+  const fields = batchFields(req.body);
+  if (!fields.label) return res.status(400).json({ error: 'missing_label' });
+  const count = Math.min(Math.max(Number(req.body?.count) || 0, 0), MAX_UIDS);
+
+  const result = await prisma.$transaction(async (tx) => {
+    const batch = await tx.batch.create({ data: { ...fields, createdBy: adminActor(req) } });
+    const rows = count ? await createUids(tx, count, batch.id) : [];
+    return { batch, rows };
+  });
+
+  res.status(201).json(result);
+});
+
+router.get('/api/admin/batches', requireAdmin('batches:read'), async (req, res) => {
+  const take = Math.min(Math.max(Number(req.query.take) || 50, 1), 200);
+  const skip = Math.max(Number(req.query.skip) || 0, 0);
+  const q = str(req.query.q, 200);
+  const where = q ? {
+    OR: ['label', 'customerRef', 'orderRef', 'notes'].map(f => ({ [f]: { contains: q, mode: 'insensitive' } })),
+  } : {};
+
+  const [items, total] = await Promise.all([
+    prisma.batch.findMany({ where, orderBy: { createdAt: 'desc' }, take, skip }),
+    prisma.batch.count({ where }),
+  ]);
+  const counts = await batchCounts(items.map(b => b.id));
+  const rows = items.map(b => ({ ...b, counts: counts[b.id] }));
+  res.json({ total, rows, take, skip });
+});
+
+router.get('/api/admin/batches/:id(\\d+)', requireAdmin('batches:read'), async (req, res) => {
+  const id = Number(req.params.id);
+  const batch = await prisma.batch.findUnique({
+    where: { id },
+    include: {
+      cards: {
+        orderBy: { createdAt: 'asc' },
+        select: { uid: true, name: true, company: true, claimedAt: true, claimedByEmail: true, createdAt: true },
+      },
+    },
+  });
+  if (!batch) return res.status(404).json({ error: 'not_found' });
+
+  const { cards, ...rest } = batch;
+  const counts = (await batchCounts([id]))[id];
+  res.json({ ...rest, counts, cards: cards.map(c => ({ ...c, claimed: !!c.claimedAt })) });
+});
+
+// edit label / refs / notes
+router.put('/api/admin/batches/:id(\\d+)', requireAdmin('batches:create'), async (req, res) => {
+  const id = Number(req.params.id);
+  const fields = batchFields(req.body);
+  if (!fields.label) return res.status(400).json({ error: 'missing_label' });
+  try {
+    res.json(await prisma.batch.update({ where: { id }, data: fields }));
+  } catch {
+    res.status(404).json({ error: 'not_found' });
+  }
+});
+
+export default router;
@@ -0,0 +1,58 @@
+import express from 'express';
+import { prisma } from '../lib/db.js';
+import { requireAdmin } from '../lib/auth.js';
+import { parseImport, planImport, applyImport } from '../lib/cardImport.js';
+import { log, errorFields } from '../lib/log.js';
+import { handleAsync } from '../lib/errors.js';
+
+const router = handleAsync(express.Router());
+
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '6mb' });
+
+/* =====================  Admin: CSV import  ===================== */
+/**
+ * Profiles from a spreadsheet, columns in src/lib/cardImport.js.
+ * Body: the CSV (Content-Type: text/csv) with ?dryRun=1&batchId=, or JSON { csv, dryRun?, batchId? }.
+ *
+ * dryRun → 200 { dryRun: true, ok, summary, rows } (per-row action, changed fields or errors)
+ * apply  → 200 { ok: true, summary, rows: [{ row, action, uid, activationCode? }] }, all rows in
+ *          one transaction; 400 import_invalid with the report (nothing written) if a row fails.
+ * New cards get activation codes (shown once, here) and join `batchId`.
+ */
+router.post('/api/admin/cards/import', requireAdmin('cards:write', 'batches:create'), csvBody, async (req, res) => {
+  const json = req.is('application/json');
+  const text = json ? req.body?.csv : req.body;
+  const opt = (name) => (json ? req.body?.[name] : req.query[name]);
+  if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: 'missing_csv' });
+
+  const dryRun = [true, 'true', '1'].includes(opt('dryRun'));
+  const batchId = opt('batchId') != null && opt('batchId') !== '' ? Number(opt('batchId')) : null;
+  if (batchId != null) {
+    if (!Number.isInteger(batchId)) return res.status(400).json({ error: 'invalid_batch' });
+    const exists = await prisma.batch.findUnique({ where: { id: batchId }, select: { id: true } });
+    if (!exists) return res.status(404).json({ error: 'batch_not_found' });
+  }
+
+  const parsed = parseImport(text);
+  if (!parsed.ok) {
+    const { ok, ...err } = parsed;
+    return res.status(400).json(err);
+  }
+
+  const { plan, ...report } = await planImport(parsed.rows);
+  const ignoredColumns = parsed.ignored;
+  if (dryRun) return res.json({ dryRun: true, ...report, ignoredColumns });
+  if (!report.ok) return res.status(400).json({ error: 'import_invalid', ...report, ignoredColumns });
+
+  try {
+    const rows = await applyImport(req, plan, { batchId });
+    res.json({ ok: true, summary: report.summary, rows, ignoredColumns });
+  } catch (e) {
+    // a card was edited between the check and the write
+    if (e.code === 'P2025') return res.status(409).json({ error: 'edit_conflict' });
+    log.error('card import failed', { requestId: req.id, ...errorFields(e) });
+    res.status(500).json({ error: 'import_failed' });
+  }
+});
+
+export default router;
@@ -0,0 +1,158 @@
+import express from 'express';
+import { prisma } from '../lib/db.js';
+import { requireAdmin, requireOwner } from '../lib/auth.js';
+import { rateLimit, byIp } from '../lib/rateLimit.js';
+import { sendMail } from '../lib/mailer.js';
+import { toCsvRow } from '../lib/csv.js';
+import { log, errorFields } from '../lib/log.js';
+import { anonymizeIp } from '../lib/privacy.js';
+import { sendValidationError } from '../lib/profileSchema.js';
+import { negotiateVersion } from '../lib/vcard.js';
+import {
+  validateLead, leadWhere, leadVCard, leadCsvRow, leadCounts, LEAD_CSV_HEADER, HONEYPOT_FIELD,
+} from '../lib/leads.js';
+import { FRONTEND_BASE, LEADS_ROUTE, LEAD_NOTIFY, RATE_LIMITS } from '../lib/config.js';
+import { handleAsync } from '../lib/errors.js';
+
+const router = handleAsync(express.Router());
+
+const CARD = '/api/card/:uid([A-Za-z0-9_-]{8,32})';
+const MAX_EXPORT = 10_000;
+
+const limitLeads = rateLimit('lead', [
+  { by: 'ip', limit: RATE_LIMITS.leadIp, key: byIp },
+  { by: 'uid', limit: RATE_LIMITS.leadUid, key: req => req.params.uid },
+]);
+
+async function notifyOwner(req, card, lead) {
+  if (!LEAD_NOTIFY || !card.leadNotify || !card.claimedByEmail) return;
+  try {
+    await sendMail({
+      to: card.claimedByEmail,
+      subject: `New contact from your SPEX card: ${lead.name}`,
+      text: [
+        `${lead.name} left their details on your card ${card.uid}:`,
+        '',
+        ...[['Email', lead.email], ['Phone', lead.phone], ['Company', lead.company], ['Note', lead.note]]
+          .filter(([, v]) => v)
+          .map(([k, v]) => `${k}: ${v}`),
+        '',
+        `All your leads: ${FRONTEND_BASE}${LEADS_ROUTE}`,
+      ].join('\n'),
+    });
+  } catch (e) {
+    log.error('lead notification failed', { requestId: req.id, uid: card.uid, ...errorFields(e) });
+  }
+}
+
+/* =====================  Public: leave your details  ===================== */
+/**
+ * { name, email?, phone?, company?, note? } → 201 { ok: true }
+ * Spam: per-IP/per-card rate limits, a honeypot field, and the same email on
+ * the same card within 10 minutes is accepted but stored once.
+ */
+router.post(`${CARD}/leads`, limitLeads, async (req, res) => {
+  const { uid } = req.params;
+  // bots fill every field; pretend it worked
+  if (!(req.body?.[HONEYPOT_FIELD] == null || req.body[HONEYPOT_FIELD] === ''))
+    return res.status(201).json({ ok: true });
+
+  const checked = validateLead(req.body);
+  if (!checked.ok) return sendValidationError(res, checked.errors);
+  const { lead } = checked;
+
+  const card = await prisma.card.findUnique({
+    where: { uid },
+    select: { uid: true, claimedAt: true, claimedByEmail: true, suspendedAt: true, leadNotify: true },
+  });
+  if (!card || !card.claimedAt) return res.status(404).json({ error: 'not_found' });
+  if (card.suspendedAt) return res.status(410).json({ error: 'card_inactive' });
+
+  if (lead.email) {
+    const dupe = await prisma.lead.findFirst({
+      where: {
+        uid,
+        email: { equals: lead.email, mode: 'insensitive' },
+        createdAt: { gt: new Date(Date.now() - 10 * 60_000) },
+      },
+      select: { id: true },
+    });
+    if (dupe) return res.status(201).json({ ok: true });
+  }
+
+  const row = await prisma.lead.create({
+    data: { uid, ...lead, ip: anonymizeIp(req.ip), ua: req.get('user-agent')?.slice(0, 500) || null },
+  });
+  await notifyOwner(req, card, row);
+  res.status(201).json({ ok: true });
+});
+
+/* =====================  Owner: leads  ===================== */
+// ?q=&take=&cursor= (newest first)
+router.get(`${CARD}/leads`, requireOwner, async (req, res) => {
+  const take = Math.min(Math.max(Number(req.query.take) || 50, 1), 200);
+  const cursor = Number(req.query.cursor) || null;
+  const where = leadWhere(req.params.uid, req.query.q, req.card.claimedAt);
+  const [total, rows] = await Promise.all([
+    prisma.lead.count({ where }),
+    prisma.lead.findMany({
+      where,
+      orderBy: { id: 'desc' },
+      take,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      select: { id: true, name: true, email: true, phone: true, company: true, note: true, createdAt: true },
+    }),
+  ]);
+  res.json({ total, rows, nextCursor: rows.length === take ? rows[rows.length - 1].id : null, notify: req.card.leadNotify });
+});
+
+// { notify: boolean }
+router.put(`${CARD}/leads/settings`, requireOwner, async (req, res) => {
+  if (typeof req.body?.notify !== 'boolean') return res.status(400).json({ error: 'invalid_notify' });
+  await prisma.card.update({ where: { uid: req.params.uid }, data: { leadNotify: req.body.notify } });
+  res.json({ notify: req.body.notify });
+});
+
+router.delete(`${CARD}/leads/:id(\\d+)`, requireOwner, async (req, res) => {
+  const r = await prisma.lead.deleteMany({ where: { ...leadWhere(req.params.uid, null, req.card.claimedAt), id: Number(req.params.id) } });
+  if (!r.count) return res.status(404).json({ error: 'not_found' });
+  res.json({ ok: true });
+});
+
+async function exportRows(req) {
+  return prisma.lead.findMany({
+    where: leadWhere(req.params.uid, req.query.q, req.card.claimedAt),
+    orderBy: { id: 'asc' },
+    take: MAX_EXPORT,
+  });
+}
+
+// ?q= applies here too
+router.get(`${CARD}/leads.csv`, requireOwner, async (req, res) => {
+  const rows = await exportRows(req);
+  let csv = toCsvRow(LEAD_CSV_HEADER);
+  for (const l of rows) csv += toCsvRow(leadCsvRow(l));
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="leads-${req.params.uid}.csv"`);
+  res.send(csv);
+});
+
+// every lead as one multi-contact .vcf (?version=4.0 like the card .vcf)
+router.get(`${CARD}/leads.vcf`, requireOwner, async (req, res) => {
+  const version = negotiateVersion(req);
+  const rows = await exportRows(req);
+  res.set('Content-Type', 'text/vcard; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="leads-${req.params.uid}.vcf"`);
+  res.send(rows.map(l => leadVCard(l, version)).join(''));
+});
+
+/* =====================  Admin: lead counts  ===================== */
+// ?uids=a,b,c (max 500) → { counts: { uid: n } }
+router.get('/api/admin/leads/counts', requireAdmin('cards:read'), async (req, res) => {
+  const uids = String(req.query.uids || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (!uids.length) return res.status(400).json({ error: 'missing_uids' });
+  if (uids.length > 500) return res.status(400).json({ error: 'too_many_uids', max: 500 });
+  res.json({ counts: await leadCounts(uids) });
+});
+
+export default router;
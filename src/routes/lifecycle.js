@@ -0,0 +1,187 @@
+import express from 'express';
+import { Prisma } from '@prisma/client';
+import { prisma } from '../lib/db.js';
+import { requireAdmin, normalizeEmail } from '../lib/auth.js';
+import { audit } from '../lib/audit.js';
+import { sendMail } from '../lib/mailer.js';
+import { isValidEmail } from '../lib/profileSchema.js';
+import { profileData } from '../lib/profile.js';
+import { newActivation } from '../lib/activation.js';
+import { recordRevision } from '../lib/revisions.js';
+import { enqueueCardUpdated } from '../lib/webhooks.js';
+import { log, errorFields } from '../lib/log.js';
+import { FRONTEND_BASE, LOGIN_ROUTE } from '../lib/config.js';
+import { handleAsync } from '../lib/errors.js';
+
+const router = handleAsync(express.Router());
+
+const EMPTY_PROFILE = profileData({});
+
+const LIFECYCLE_SELECT = {
+  uid: true, claimedAt: true, claimedByEmail: true,
+  suspendedAt: true, suspendedReason: true, tokenVersion: true, updatedAt: true,
+};
+
+const pick = (card, select) => Object.fromEntries(Object.keys(select).map(k => [k, card[k]]));
+
+async function findCard(uid) {
+  return prisma.card.findUnique({ where: { uid }, select: LIFECYCLE_SELECT });
+}
+
+/* =================  Admin: Card Lifecycle  ================= */
+// { reason? } — public routes answer 410 card_inactive while suspended
+router.post('/api/admin/cards/:uid/suspend', requireAdmin('cards:write'), async (req, res) => {
+  const { uid } = req.params;
+  const card = await findCard(uid);
+  if (!card) return res.status(404).json({ error: 'not_found' });
+  if (card.suspendedAt) return res.status(409).json({ error: 'already_suspended' });
+
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 500) : null;
+  const updated = await prisma.$transaction(async (tx) => {
+    const c = await tx.card.update({
+      where: { uid },
+      data: { suspendedAt: new Date(), suspendedReason: reason || null },
+      select: LIFECYCLE_SELECT,
+    });
+    await audit(req, { uid, action: 'card.suspend', data: { reason } }, tx);
+    return c;
+  });
+  res.json(updated);
+});
+
+router.post('/api/admin/cards/:uid/reactivate', requireAdmin('cards:write'), async (req, res) => {
+  const { uid } = req.params;
+  const card = await findCard(uid);
+  if (!card) return res.status(404).json({ error: 'not_found' });
+  if (!card.suspendedAt) return res.status(409).json({ error: 'not_suspended' });
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const c = await tx.card.update({
+      where: { uid },
+      data: { suspendedAt: null, suspendedReason: null },
+      select: LIFECYCLE_SELECT,
+    });
+    await audit(req, { uid, action: 'card.reactivate', data: { suspendedAt: card.suspendedAt } }, tx);
+    return c;
+  });
+  res.json(updated);
+});
+
+/**
+ * Back to unclaimed: clears claimedAt/claimedByEmail and revokes owner tokens.
+ * The printed activation code was used by the previous owner, so it stops
+ * working: the response carries a fresh one (shown once) for the next owner.
+ * { wipeProfile: true } also clears every profile field, the privacy settings
+ * and slugs, and deletes the card's leads, so nothing of the previous owner
+ * reaches the next one.
+ */
+router.post('/api/admin/cards/:uid/reset-claim', requireAdmin('cards:write'), async (req, res) => {
+  const { uid } = req.params;
+  const card = await findCard(uid);
+  if (!card) return res.status(404).json({ error: 'not_found' });
+  if (!card.claimedAt) return res.status(409).json({ error: 'not_claimed' });
+
+  const wipeProfile = req.body?.wipeProfile === true;
+  const { code, data: activation } = newActivation(uid);
+  const updated = await prisma.$transaction(async (tx) => {
+    const before = wipeProfile ? await tx.card.findUnique({ where: { uid } }) : null;
+    const c = await tx.card.update({
+      where: { uid },
+      data: {
+        ...activation,
+        claimedAt: null,
+        claimedByEmail: null,
+        tokenVersion: { increment: 1 },
+        ...(wipeProfile ? { ...EMPTY_PROFILE, privacy: Prisma.DbNull, slug: null, leadNotify: true } : {}),
+      },
+    });
+    if (wipeProfile) {
+      await tx.slugRedirect.deleteMany({ where: { uid } });
+      await tx.lead.deleteMany({ where: { uid } });
+      await recordRevision(tx, { uid, before, after: c, source: 'reset', req });
+      await enqueueCardUpdated(tx, { before, after: c, source: 'reset' });
+    }
+    await audit(req, {
+      uid,
+      action: 'card.reset_claim',
+      data: { previousEmail: card.claimedByEmail, claimedAt: card.claimedAt, wipeProfile },
+    }, tx);
+    return pick(c, LIFECYCLE_SELECT);
+  });
+  res.json({ ...updated, activationCode: code });
+});
+
+/**
+ * Hand a claimed card to a new owner email. Tokens held by the previous
+ * owner stop working and claimedAt restarts (the new owner's revision history
+ * begins here); { notify: false } skips the email to the new owner.
+ */
+router.post('/api/admin/cards/:uid/transfer', requireAdmin('cards:write'), async (req, res) => {
+  const { uid } = req.params;
+  const email = normalizeEmail(req.body?.email);
+  if (!isValidEmail(email))
+    return res.status(400).json({ error: 'invalid_email' });
+
+  const card = await findCard(uid);
+  if (!card) return res.status(404).json({ error: 'not_found' });
+  if (!card.claimedAt) return res.status(409).json({ error: 'not_claimed' });
+  if (normalizeEmail(card.claimedByEmail) === email) return res.status(409).json({ error: 'same_owner' });
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const c = await tx.card.update({
+      where: { uid },
+      data: { claimedAt: new Date(), claimedByEmail: email, tokenVersion: { increment: 1 } },
+      select: LIFECYCLE_SELECT,
+    });
+    await audit(req, { uid, action: 'card.transfer', data: { from: card.claimedByEmail, to: email, claimedAt: card.claimedAt } }, tx);
+    return c;
+  });
+
+  // the transfer is committed: a mail failure must not turn it into an error
+  if (req.body?.notify !== false) {
+    try {
+      await sendMail({
+        to: email,
+        subject: 'A SPEX card was transferred to you',
+        text: [
+          `The SPEX card ${uid} is now linked to this email address.`,
+          `Sign in to edit it: ${FRONTEND_BASE}${LOGIN_ROUTE}`,
+        ].join('\n'),
+      });
+    } catch (e) {
+      log.error('transfer notification failed', { requestId: req.id, uid, ...errorFields(e) });
+    }
+  }
+
+  res.json(updated);
+});
+
+/**
+ * New activation code for a card (lost insert, reprint).
+ * The old code stops working and any lockout is lifted. Shown once in the response.
+ */
+router.post('/api/admin/cards/:uid/activation-code', requireAdmin('cards:write'), async (req, res) => {
+  const { uid } = req.params;
+  const card = await findCard(uid);
+  if (!card) return res.status(404).json({ error: 'not_found' });
+
+  const { code, data } = newActivation(uid);
+  await prisma.$transaction(async (tx) => {
+    await tx.card.update({ where: { uid }, data });
+    await audit(req, { uid, action: 'card.activation_code', data: { claimed: !!card.claimedAt } }, tx);
+  });
+  res.json({ uid, activationCode: code });
+});
+
+// Lifecycle + admin history for one card (newest first)
+router.get('/api/admin/cards/:uid/audit', requireAdmin('cards:read'), async (req, res) => {
+  const take = Math.min(Math.max(Number(req.query.take) || 50, 1), 500);
+  const rows = await prisma.auditLog.findMany({
+    where: { uid: req.params.uid },
+    orderBy: { createdAt: 'desc' },
+    take,
+  });
+  res.json({ rows });
+});
+
+export default router;
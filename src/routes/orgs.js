@@ -0,0 +1,365 @@
+import express from 'express';
+import { prisma } from '../lib/db.js';
+import { requireAdmin, requireOrgManager, adminActor, normalizeEmail } from '../lib/auth.js';
+import { audit } from '../lib/audit.js';
+import { profileData, profileOf } from '../lib/profile.js';
+import { recordRevision } from '../lib/revisions.js';
+import { enqueueCardUpdated } from '../lib/webhooks.js';
+import { validateProfile, isValidEmail, sendValidationError } from '../lib/profileSchema.js';
+import { parseRange, orgSummary } from '../lib/analytics.js';
+import {
+  ORG_FIELDS, validateOrg, orgDefaults, resolveProfile, overriddenFields, inheritedFields, stripInherited,
+} from '../lib/orgs.js';
+import { handleAsync } from '../lib/errors.js';
+
+const router = handleAsync(express.Router());
+
+const manage = requireAdmin('orgs:manage');
+const manager = requireOrgManager('orgs:manage');
+
+const ORG = '/api/org/:id(\\d+)';
+const ADMIN_ORG = '/api/admin/orgs/:id(\\d+)';
+const MAX_CARDS = 1000;
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const MEMBER_SELECT = {
+  uid: true, name: true, title: true, email: true,
+  company: true, website: true, address: true, socials: true, imageUrl: true,
+  urls: true, addresses: true,
+  claimedAt: true, claimedByEmail: true, suspendedAt: true, updatedAt: true,
+};
+
+/** { [orgId]: { cards, claimed, managers } } */
+async function orgCounts(ids) {
+  const where = { orgId: { in: ids } };
+  const [all, claimed, managers] = await Promise.all([
+    prisma.card.groupBy({ by: ['orgId'], where, _count: { _all: true } }),
+    prisma.card.groupBy({ by: ['orgId'], where: { ...where, claimedAt: { not: null } }, _count: { _all: true } }),
+    prisma.orgManager.groupBy({ by: ['orgId'], where, _count: { _all: true } }),
+  ]);
+  const out = {};
+  for (const id of ids) out[id] = { cards: 0, claimed: 0, managers: 0 };
+  for (const r of all) out[r.orgId].cards = r._count._all;
+  for (const r of claimed) out[r.orgId].claimed = r._count._all;
+  for (const r of managers) out[r.orgId].managers = r._count._all;
+  return out;
+}
+
+async function orgView(org) {
+  const managers = await prisma.orgManager.findMany({
+    where: { orgId: org.id },
+    orderBy: { createdAt: 'asc' },
+    select: { id: true, email: true, createdAt: true },
+  });
+  return {
+    id: org.id,
+    name: org.name,
+    defaults: orgDefaults(org),
+    counts: (await orgCounts([org.id]))[org.id],
+    managers,
+    createdAt: org.createdAt,
+    updatedAt: org.updatedAt,
+  };
+}
+
+const memberView = (card, org) => ({
+  ...card,
+  claimed: !!card.claimedAt,
+  overrides: overriddenFields(card, org),
+  inherited: inheritedFields(card, org),
+});
+
+// revisions from org routes name the manager (admins keep their usual actor)
+const orgActor = (req) => (req.user ? { actorType: 'manager', actor: req.user.email } : null);
+
+/* =====================  Admin: Organizations  ===================== */
+// ?q=&take=&skip=
+router.get('/api/admin/orgs', manage, async (req, res) => {
+  const take = Math.min(Math.max(Number(req.query.take) || 50, 1), 200);
+  const skip = Math.max(Number(req.query.skip) || 0, 0);
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const where = q ? { OR: [{ name: { contains: q, mode: 'insensitive' } }, { company: { contains: q, mode: 'insensitive' } }] } : {};
+
+  const [items, total] = await Promise.all([
+    prisma.organization.findMany({ where, orderBy: { name: 'asc' }, take, skip }),
+    prisma.organization.count({ where }),
+  ]);
+  const counts = await orgCounts(items.map(o => o.id));
+  res.json({ total, rows: items.map(o => ({ id: o.id, name: o.name, defaults: orgDefaults(o), counts: counts[o.id] })), take, skip });
+});
+
+// { name, defaults?: { company, website, address, socials, imageUrl }, managers?: [email] }
+router.post('/api/admin/orgs', manage, async (req, res) => {
+  const checked = validateOrg(req.body);
+  const emails = Array.isArray(req.body?.managers) ? req.body.managers : [];
+  const errors = checked.ok ? [] : checked.errors;
+  emails.forEach((e, i) => { if (!isValidEmail(e)) errors.push({ field: `managers.${i}`, code: 'invalid_email' }); });
+  if (errors.length) return sendValidationError(res, errors);
+
+  const org = await prisma.$transaction(async (tx) => {
+    const o = await tx.organization.create({
+      data: { name: checked.name, ...checked.defaults, createdBy: adminActor(req) },
+    });
+    const managers = [...new Set(emails.map(normalizeEmail))];
+    if (managers.length) {
+      await tx.orgManager.createMany({ data: managers.map(email => ({ orgId: o.id, email, createdBy: adminActor(req) })) });
+    }
+    await audit(req, { action: 'org.create', data: { orgId: o.id, name: o.name, managers } }, tx);
+    return o;
+  });
+  res.status(201).json(await orgView(org));
+});
+
+// only empty orgs can go: move or remove the member cards first
+router.delete(ADMIN_ORG, manage, async (req, res) => {
+  const id = Number(req.params.id);
+  const org = await prisma.organization.findUnique({ where: { id } });
+  if (!org) return res.status(404).json({ error: 'not_found' });
+  const cards = await prisma.card.count({ where: { orgId: id } });
+  if (cards) return res.status(409).json({ error: 'org_has_cards', cards });
+
+  await prisma.$transaction(async (tx) => {
+    await tx.organization.delete({ where: { id } });
+    await audit(req, { action: 'org.delete', data: { orgId: id, name: org.name } }, tx);
+  });
+  res.json({ ok: true });
+});
+
+/**
+ * Add cards: { uids: [...] } or { batchId }. Cards in another org are
+ * refused (409 in_other_org) unless { move: true }.
+ */
+router.post(`${ADMIN_ORG}/cards`, manage, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!await prisma.organization.findUnique({ where: { id }, select: { id: true } }))
+    return res.status(404).json({ error: 'not_found' });
+
+  const { uids, batchId, move } = req.body || {};
+  let where;
+  if (batchId != null) {
+    if (!Number.isInteger(Number(batchId))) return res.status(400).json({ error: 'invalid_batch' });
+    where = { batchId: Number(batchId) };
+  } else {
+    if (!Array.isArray(uids) || !uids.length) return res.status(400).json({ error: 'missing_uids' });
+    if (uids.length > MAX_CARDS) return res.status(400).json({ error: 'too_many_uids', max: MAX_CARDS });
+    where = { uid: { in: uids.map(String) } };
+  }
+
+  const cards = await prisma.card.findMany({ where, select: { uid: true, orgId: true }, take: MAX_CARDS + 1 });
+  if (!cards.length) return res.status(404).json({ error: 'not_found' });
+  if (cards.length > MAX_CARDS) return res.status(400).json({ error: 'too_many_uids', max: MAX_CARDS });
+  const elsewhere = cards.filter(c => c.orgId != null && c.orgId !== id);
+  if (elsewhere.length && move !== true)
+    return res.status(409).json({ error: 'in_other_org', uids: elsewhere.map(c => c.uid) });
+
+  const added = cards.filter(c => c.orgId !== id).map(c => c.uid);
+  await prisma.$transaction(async (tx) => {
+    await tx.card.updateMany({ where: { uid: { in: added } }, data: { orgId: id } });
+    await audit(req, {
+      action: 'org.add_cards',
+      data: { orgId: id, uids: added, movedFrom: Object.fromEntries(elsewhere.map(c => [c.uid, c.orgId])) },
+    }, tx);
+  });
+  res.json({ ok: true, added: added.length, unchanged: cards.length - added.length });
+});
+
+/**
+ * { uids: [...] } — the cards leave the org. Values they inherited are
+ * copied onto them so their public profile doesn't change.
+ */
+router.post(`${ADMIN_ORG}/cards/remove`, manage, async (req, res) => {
+  const id = Number(req.params.id);
+  const { uids } = req.body || {};
+  if (!Array.isArray(uids) || !uids.length) return res.status(400).json({ error: 'missing_uids' });
+  if (uids.length > MAX_CARDS) return res.status(400).json({ error: 'too_many_uids', max: MAX_CARDS });
+
+  const removed = await prisma.$transaction(async (tx) => {
+    const cards = await tx.card.findMany({ where: { orgId: id, uid: { in: uids.map(String) } }, include: { org: true } });
+    for (const before of cards) {
+      const resolved = resolveProfile(before);
+      const after = await tx.card.update({
+        where: { uid: before.uid },
+        data: { orgId: null, ...profileData(resolved, before) },
+      });
+      await recordRevision(tx, { uid: before.uid, before, after, source: 'admin_update', req, meta: { leftOrg: id } });
+    }
+    await audit(req, { action: 'org.remove_cards', data: { orgId: id, uids: cards.map(c => c.uid) } }, tx);
+    return cards.length;
+  });
+  res.json({ ok: true, removed });
+});
+
+// { email } → manager; they sign in through /api/auth/login like card owners
+router.post(`${ADMIN_ORG}/managers`, manage, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!isValidEmail(req.body?.email)) return sendValidationError(res, [{ field: 'email', code: 'invalid_email' }]);
+  if (!await prisma.organization.findUnique({ where: { id }, select: { id: true } }))
+    return res.status(404).json({ error: 'not_found' });
+
+  const email = normalizeEmail(req.body.email);
+  const exists = await prisma.orgManager.findUnique({ where: { orgId_email: { orgId: id, email } } });
+  if (exists) return res.status(409).json({ error: 'already_manager' });
+
+  const row = await prisma.$transaction(async (tx) => {
+    const m = await tx.orgManager.create({
+      data: { orgId: id, email, createdBy: adminActor(req) },
+      select: { id: true, email: true, createdAt: true },
+    });
+    await audit(req, { action: 'org.add_manager', data: { orgId: id, email } }, tx);
+    return m;
+  });
+  res.status(201).json(row);
+});
+
+router.delete(`${ADMIN_ORG}/managers/:managerId(\\d+)`, manage, async (req, res) => {
+  const id = Number(req.params.id);
+  const m = await prisma.orgManager.findUnique({ where: { id: Number(req.params.managerId) } });
+  if (!m || m.orgId !== id) return res.status(404).json({ error: 'not_found' });
+
+  await prisma.$transaction(async (tx) => {
+    await tx.orgManager.delete({ where: { id: m.id } });
+    await audit(req, { action: 'org.remove_manager', data: { orgId: id, email: m.email } }, tx);
+  });
+  res.json({ ok: true });
+});
+
+/* =====================  Org managers (or admin)  ===================== */
+router.get(ORG, manager, async (req, res) => {
+  res.json(await orgView(req.org));
+});
+
+/**
+ * Shared fields for every member card at once.
+ * { name?, defaults?, reset?: ['website', ...] }
+ * `defaults` replaces all shared defaults (like a profile PUT); `reset` clears
+ * those fields on every member card so they all inherit the default again.
+ * Cards whose visible profile changed get a card.updated webhook.
+ */
+router.put(ORG, manager, async (req, res) => {
+  const checked = validateOrg(req.body || {}, true);
+  const reset = req.body?.reset ?? [];
+  const errors = checked.ok ? [] : checked.errors;
+  if (!Array.isArray(reset)) errors.push({ field: 'reset', code: 'invalid_type' });
+  else reset.forEach((f, i) => { if (!ORG_FIELDS.includes(f)) errors.push({ field: `reset.${i}`, code: 'unknown_field' }); });
+  if (errors.length) return sendValidationError(res, errors);
+
+  const id = req.org.id;
+  const data = { ...(checked.name ? { name: checked.name } : {}), ...(checked.defaults || {}) };
+  const clear = Object.fromEntries(reset.map(f => [f, f === 'socials' ? {} : null]));
+  // website/address also drop the card's primary url/address entry
+  const cleared = (card) => {
+    const p = { ...profileOf(card), ...clear };
+    if (reset.includes('website')) delete p.urls;
+    if (reset.includes('address')) delete p.addresses;
+    return profileData(p, card);
+  };
+
+  const result = await prisma.$transaction(async (tx) => {
+    const members = await tx.card.findMany({ where: { orgId: id } });
+    const org = await tx.organization.update({ where: { id }, data });
+
+    let reverted = 0;
+    let changed = 0;
+    for (const before of members) {
+      let after = before;
+      if (reset.some(f => !same(before[f], clear[f]))) {
+        after = await tx.card.update({ where: { uid: before.uid }, data: cleared(before) });
+        await recordRevision(tx, { uid: before.uid, before, after, source: 'org_update', req, by: orgActor(req) });
+        reverted++;
+      }
+      const r = await enqueueCardUpdated(tx, {
+        before: { uid: before.uid, ...resolveProfile(before, req.org) },
+        after: { uid: after.uid, ...resolveProfile(after, org) },
+        source: 'org',
+      });
+      if (r !== null) changed++;
+    }
+    await audit(req, { action: 'org.update', data: { orgId: id, ...data, reset } }, tx);
+    return { org, reverted, changed };
+  });
+
+  res.json({ ...(await orgView(result.org)), cardsReset: result.reverted, cardsChanged: result.changed });
+});
+
+// ?q=&take=&cursor= — members with the shared fields they override / inherit
+router.get(`${ORG}/cards`, manager, async (req, res) => {
+  const take = Math.min(Math.max(Number(req.query.take) || 100, 1), 500);
+  const cursor = typeof req.query.cursor === 'string' && req.query.cursor ? req.query.cursor : null;
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const where = {
+    orgId: req.org.id,
+    ...(q ? { OR: ['name', 'title', 'email', 'claimedByEmail', 'uid'].map(f => ({ [f]: { contains: q, mode: 'insensitive' } })) } : {}),
+  };
+
+  const [total, rows] = await Promise.all([
+    prisma.card.count({ where }),
+    prisma.card.findMany({
+      where,
+      orderBy: [{ name: { sort: 'asc', nulls: 'last' } }, { uid: 'asc' }],
+      take,
+      ...(cursor ? { cursor: { uid: cursor }, skip: 1 } : {}),
+      select: MEMBER_SELECT,
+    }),
+  ]);
+  res.json({
+    total,
+    rows: rows.map(c => memberView(c, req.org)),
+    nextCursor: rows.length === take ? rows[rows.length - 1].uid : null,
+  });
+});
+
+async function loadMember(req, res) {
+  const card = await prisma.card.findUnique({ where: { uid: req.params.uid } });
+  if (!card || card.orgId !== req.org.id) {
+    res.status(404).json({ error: 'not_found' });
+    return null;
+  }
+  return card;
+}
+
+// own profile + the resolved one visitors see
+router.get(`${ORG}/cards/:uid([A-Za-z0-9_-]{8,32})`, manager, async (req, res) => {
+  const card = await loadMember(req, res);
+  if (!card) return;
+  res.json({
+    uid: card.uid,
+    claimed: !!card.claimedAt,
+    claimedByEmail: card.claimedByEmail,
+    suspended: !!card.suspendedAt,
+    profile: profileOf(card),
+    resolved: resolveProfile(card, req.org),
+    overrides: overriddenFields(card, req.org),
+    inherited: inheritedFields(card, req.org),
+  });
+});
+
+// { profile } like the owner PUT; values equal to the org default are stored as inherited
+router.put(`${ORG}/cards/:uid([A-Za-z0-9_-]{8,32})`, manager, async (req, res) => {
+  const checked = validateProfile(req.body?.profile);
+  if (!checked.ok) return sendValidationError(res, checked.errors);
+  const card = await loadMember(req, res);
+  if (!card) return;
+  if (card.suspendedAt) return res.status(410).json({ error: 'card_inactive' });
+
+  const after = await prisma.$transaction(async (tx) => {
+    const c = await tx.card.update({
+      where: { uid: card.uid },
+      data: profileData(stripInherited(checked.profile, req.org), card),
+    });
+    await recordRevision(tx, { uid: card.uid, before: card, after: c, source: 'org_update', req, by: orgActor(req) });
+    await enqueueCardUpdated(tx, { before: card, after: c, source: 'org' });
+    return c;
+  });
+  res.json({ ok: true, profile: profileOf(after), overrides: overriddenFields(after, req.org) });
+});
+
+// ?from=&to=&top= — events across all member cards, claim + lead totals, most viewed members
+router.get(`${ORG}/stats`, manager, async (req, res) => {
+  const range = parseRange(req.query);
+  if (!range) return res.status(400).json({ error: 'invalid_range' });
+  const top = Math.min(Math.max(Number(req.query.top) || 10, 1), 100);
+  res.json({ orgId: req.org.id, ...(await orgSummary(req.org.id, range, { top })) });
+});
+
+export default router;
@@ -0,0 +1,204 @@
+import express from 'express';
+import { once } from 'events';
+import archiver from 'archiver';
+import { prisma } from '../lib/db.js';
+import { FRONTEND_BASE } from '../lib/config.js';
+import { requireAdmin } from '../lib/auth.js';
+import { buildVCard, hasProfileData } from '../lib/vcard.js';
+import { QR_DEFAULTS, buildMicrositeUrl, renderQr } from '../lib/qr.js';
+import { toCsvRow, SHEET_HEADER, sheetRow } from '../lib/csv.js';
+import { buildContactSheets } from '../lib/contactSheet.js';
+import { newActivation } from '../lib/activation.js';
+import { audit } from '../lib/audit.js';
+import { log, errorFields } from '../lib/log.js';
+import { withOrgDefaults } from '../lib/orgs.js';
+import { applyPrivacy } from '../lib/privacy.js';
+import { handleAsync } from '../lib/errors.js';
+
+const router = handleAsync(express.Router());
+
+const MAX_CARDS = 1000;
+
+const qrOpts = (format) => ({
+  format,
+  margin: QR_DEFAULTS.margin,
+  errorCorrectionLevel: QR_DEFAULTS.errorCorrectionLevel,
+  color: QR_DEFAULTS.color,
+  width: null,
+});
+
+/**
+ * Stream the print package as a ZIP:
+ *   qr/<uid>-url.{png,svg}     microsite QR
+ *   qr/<uid>-vcard.{png,svg}   vCard QR (cards with profile data)
+ *   vcf/<uid>.vcf
+ *   qr_sheet.csv
+ *   contact-sheet-NN.svg       A4 grid of microsite QRs with UID labels + crop marks
+ *   activation_codes.csv       only with fresh codes (see issueCodes); also on the contact sheets
+ *   manifest.json
+ */
+async function streamPackage(res, cards, { name, batch = null, codes = null }) {
+  res.set('Content-Type', 'application/zip');
+  res.set('Content-Disposition', `attachment; filename="${name}.zip"`);
+
+  const zip = archiver('zip', { zlib: { level: 6 } });
+  zip.on('warning', (err) => log.warn('zip warning', { requestId: res.req.id, ...errorFields(err) }));
+  zip.on('error', (err) => res.destroy(err));
+  zip.pipe(res);
+  // client gone before the end: drop what's buffered; `closed` also ends the waits below
+  const closed = new Promise((resolve) => res.once('close', resolve));
+  closed.then(() => res.writableFinished || zip.abort());
+
+  try {
+    let csv = toCsvRow(SHEET_HEADER);
+    for (const c of cards) {
+      if (res.destroyed) return; // client gone: stop rendering
+      // the client reads slower than we render: let it catch up
+      if (res.writableNeedDrain) await Promise.race([once(res, 'drain'), closed]);
+      const url = buildMicrositeUrl(c.uid);
+      const profile = withOrgDefaults(c);
+      csv += toCsvRow(sheetRow(profile, url));
+
+      for (const format of ['png', 'svg']) {
+        const { body } = await renderQr(url, qrOpts(format));
+        zip.append(body, { name: `qr/${c.uid}-url.${format}` });
+      }
+      const shared = applyPrivacy(profile, 'vcard');
+      if (hasProfileData(shared)) {
+        const qrText = buildVCard(shared, { socials: false });
+        for (const format of ['png', 'svg']) {
+          const { body } = await renderQr(qrText, qrOpts(format));
+          zip.append(body, { name: `qr/${c.uid}-vcard.${format}` });
+        }
+        zip.append(buildVCard(shared, { photo: 'uri' }), { name: `vcf/${c.uid}.vcf` });
+      }
+    }
+    zip.append(csv, { name: 'qr_sheet.csv' });
+
+    if (codes) {
+      let codesCsv = toCsvRow(['uid', 'url', 'activation_code']);
+      for (const c of cards) {
+        if (codes[c.uid]) codesCsv += toCsvRow([c.uid, buildMicrositeUrl(c.uid), codes[c.uid]]);
+      }
+      zip.append(codesCsv, { name: 'activation_codes.csv' });
+    }
+
+    const sheets = await buildContactSheets(
+      cards.map(c => ({
+        label: codes?.[c.uid] ? `${c.uid}  ${codes[c.uid]}` : c.uid,
+        text: buildMicrositeUrl(c.uid),
+      })),
+      { title: batch?.label || name },
+    );
+    sheets.forEach((svg, i) => {
+      zip.append(svg, { name: `contact-sheet-${String(i + 1).padStart(2, '0')}.svg` });
+    });
+
+    zip.append(JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      frontendBase: FRONTEND_BASE,
+      batch,
+      count: cards.length,
+      activationCodes: codes ? Object.keys(codes).length : 0,
+      uids: cards.map(c => c.uid),
+    }, null, 2), { name: 'manifest.json' });
+
+    if (!res.destroyed) await Promise.race([zip.finalize(), closed]);
+  } catch (err) {
+    // headers are out: a half-written zip must not reach the client as a finished one
+    zip.unpipe(res);
+    zip.abort();
+    throw err;
+  }
+}
+
+/**
+ * Codes are stored hashed, so printing them means issuing new ones.
+ * Only unclaimed cards get one; earlier codes for these cards stop working.
+ * → { [uid]: code }
+ */
+async function issueCodes(req, cards) {
+  const codes = {};
+  const updates = [];
+  for (const c of cards) {
+    if (c.claimedAt) continue;
+    const { code, data } = newActivation(c.uid);
+    codes[c.uid] = code;
+    updates.push({ uid: c.uid, data });
+  }
+  if (updates.length) {
+    await prisma.$transaction(async (tx) => {
+      for (const u of updates) await tx.card.update({ where: { uid: u.uid }, data: u.data });
+      await audit(req, { action: 'print.activation_codes', data: { uids: updates.map(u => u.uid) } }, tx);
+    });
+  }
+  return codes;
+}
+
+/** Batch + its cards, or null. One card more than MAX_CARDS tells the caller the batch is too big. */
+async function loadBatch(id) {
+  const batch = await prisma.batch.findUnique({ where: { id } });
+  if (!batch) return null;
+  const cards = await prisma.card.findMany({
+    where: { batchId: id },
+    orderBy: { createdAt: 'asc' },
+    take: MAX_CARDS + 1,
+    include: { org: true },
+  });
+  return { batch, cards };
+}
+
+// a partial package would look complete: batches past the limit go out as UID lists
+function batchTooBig(res, found) {
+  if (found.cards.length <= MAX_CARDS) return false;
+  res.status(400).json({ error: 'too_many_cards', max: MAX_CARDS });
+  return true;
+}
+
+// fresh codes change cards, so they need more than read access
+function canIssueCodes(req, res) {
+  if (req.admin.scopes.includes('batches:create')) return true;
+  res.status(403).json({ error: 'missing_scope', scope: 'batches:create' });
+  return false;
+}
+
+/* ==================  Admin: Print Package  ================== */
+// { uids: [...] } or { batchId }; regenerateCodes: true adds fresh activation codes
+router.post('/api/admin/print-package', requireAdmin('batches:read'), async (req, res) => {
+  const { uids, batchId, regenerateCodes } = req.body || {};
+  if (regenerateCodes === true && !canIssueCodes(req, res)) return;
+
+  if (batchId != null) {
+    const found = Number.isInteger(Number(batchId)) ? await loadBatch(Number(batchId)) : null;
+    if (!found) return res.status(404).json({ error: 'batch_not_found' });
+    if (batchTooBig(res, found)) return;
+    const codes = regenerateCodes === true ? await issueCodes(req, found.cards) : null;
+    return streamPackage(res, found.cards, { name: `spex-batch-${found.batch.id}`, batch: found.batch, codes });
+  }
+
+  if (!Array.isArray(uids) || !uids.length) return res.status(400).json({ error: 'missing_uids' });
+  if (uids.length > MAX_CARDS) return res.status(400).json({ error: 'too_many_uids', max: MAX_CARDS });
+
+  const cards = await prisma.card.findMany({
+    where: { uid: { in: uids.map(String) } },
+    orderBy: { createdAt: 'asc' },
+    include: { org: true },
+  });
+  if (!cards.length) return res.status(404).json({ error: 'not_found' });
+
+  const codes = regenerateCodes === true ? await issueCodes(req, cards) : null;
+  await streamPackage(res, cards, { name: `spex-print-${new Date().toISOString().slice(0, 10)}`, codes });
+});
+
+// ?codes=regenerate adds fresh activation codes
+router.get('/api/admin/batches/:id(\\d+)/package.zip', requireAdmin('batches:read'), async (req, res) => {
+  const regenerate = req.query.codes === 'regenerate';
+  if (regenerate && !canIssueCodes(req, res)) return;
+  const found = await loadBatch(Number(req.params.id));
+  if (!found) return res.status(404).json({ error: 'not_found' });
+  if (batchTooBig(res, found)) return;
+  const codes = regenerate ? await issueCodes(req, found.cards) : null;
+  await streamPackage(res, found.cards, { name: `spex-batch-${found.batch.id}`, batch: found.batch, codes });
+});
+
+export default router;
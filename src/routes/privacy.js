@@ -0,0 +1,204 @@
+import express from 'express';
+import { once } from 'events';
+import { PassThrough } from 'stream';
+import archiver from 'archiver';
+import { Prisma } from '@prisma/client';
+import { prisma } from '../lib/db.js';
+import { requireAdmin, requireOwner, requireAuth, loadOwnedCard } from '../lib/auth.js';
+import { audit } from '../lib/audit.js';
+import { log, errorFields } from '../lib/log.js';
+import { toCsvRow } from '../lib/csv.js';
+import { profileData } from '../lib/profile.js';
+import { sendValidationError } from '../lib/profileSchema.js';
+import { privacyOf, validatePrivacy } from '../lib/privacy.js';
+import { storage } from '../lib/storage.js';
+import { enqueueCardUpdated } from '../lib/webhooks.js';
+import { handleAsync } from '../lib/errors.js';
+
+const router = handleAsync(express.Router());
+
+const ADMIN = '/api/admin/cards/:uid/privacy';
+const OWNER = '/api/card/:uid([A-Za-z0-9_-]{8,32})/privacy';
+
+// what the owner's export leaves out of the card row (secrets and counters)
+const INTERNAL = ['activationHash', 'activationFailures', 'activationLockedUntil', 'claimTokenId', 'tokenVersion'];
+
+/** Cards of the signed-in owner: all cards of an email token, the one card of a uid token */
+async function accountCards(user) {
+  if (user.email) {
+    return prisma.card.findMany({
+      where: { claimedByEmail: { equals: user.email, mode: 'insensitive' } },
+      orderBy: { claimedAt: 'asc' },
+    });
+  }
+  const card = await loadOwnedCard(user, user.uid);
+  return card ? [card] : [];
+}
+
+/* =====================  Field privacy  ===================== */
+async function show(req, res) {
+  const card = await prisma.card.findUnique({ where: { uid: req.params.uid }, select: { privacy: true } });
+  if (!card) return res.status(404).json({ error: 'not_found' });
+  res.json({ privacy: privacyOf(card) });
+}
+
+// { privacy: { phones: 'vcard', addresses: 'hidden', ... } } — fields left out become public
+async function update(req, res) {
+  const { uid } = req.params;
+  const checked = validatePrivacy(req.body?.privacy);
+  if (!checked.ok) return sendValidationError(res, checked.errors);
+
+  const before = await prisma.card.findUnique({ where: { uid }, select: { privacy: true } });
+  if (!before) return res.status(404).json({ error: 'not_found' });
+
+  const after = await prisma.$transaction(async (tx) => {
+    const c = await tx.card.update({ where: { uid }, data: { privacy: checked.privacy }, select: { privacy: true } });
+    if (req.admin) await audit(req, { uid, action: 'card.privacy', data: { from: before.privacy, to: c.privacy } }, tx);
+    return c;
+  });
+  res.json({ privacy: privacyOf(after) });
+}
+
+router.get(ADMIN, requireAdmin('cards:read'), show);
+router.put(ADMIN, requireAdmin('cards:write'), update);
+router.get(OWNER, requireOwner, show);
+router.put(OWNER, requireOwner, update);
+
+/* =====================  Owner data export / deletion  ===================== */
+/**
+ * Everything stored about the signed-in owner's cards, as a zip:
+ *   account.json
+ *   cards/<uid>/card.json         profile, privacy, slug history, claim details
+ *   cards/<uid>/revisions.json
+ *   cards/<uid>/events.csv        scans and taps (no IPs)
+ *   cards/<uid>/leads.json        contacts visitors left
+ *   cards/<uid>/uploads/...       uploaded photos
+ * Revisions, events, leads and uploads only from the card's claimedAt on:
+ * what a previous owner left on a transferred card isn't theirs to take.
+ */
+router.get('/api/auth/me/export', requireAuth, async (req, res) => {
+  const cards = await accountCards(req.user);
+  const store = await storage();
+
+  res.set('Content-Type', 'application/zip');
+  res.set('Content-Disposition', `attachment; filename="spex-data-${new Date().toISOString().slice(0, 10)}.zip"`);
+  const zip = archiver('zip', { zlib: { level: 6 } });
+  zip.on('warning', (err) => log.warn('zip warning', { requestId: req.id, ...errorFields(err) }));
+  zip.on('error', (err) => res.destroy(err));
+  zip.pipe(res);
+  // client gone before the end: drop what's buffered; `closed` also ends the wait on finalize()
+  const closed = new Promise((resolve) => res.once('close', resolve));
+  closed.then(() => res.writableFinished || zip.abort());
+
+  const json = (v) => JSON.stringify(v, null, 2);
+  zip.append(json({ email: req.user.email || null, exportedAt: new Date(), cards: cards.map(c => c.uid) }), { name: 'account.json' });
+
+  try {
+    for (const card of cards) {
+      if (res.destroyed) return; // client gone: stop reading
+      const dir = `cards/${card.uid}`;
+      // the owner's own part of the card's history (see ownerSince in revisions.js)
+      const since = { uid: card.uid, createdAt: { gte: card.claimedAt } };
+      const [slugRedirects, revisions, leads, uploads] = await Promise.all([
+        prisma.slugRedirect.findMany({ where: { uid: card.uid }, select: { slug: true, createdAt: true } }),
+        prisma.revision.findMany({
+          where: since,
+          orderBy: { id: 'asc' },
+          select: { id: true, source: true, actorType: true, profile: true, createdAt: true },
+        }),
+        prisma.lead.findMany({ where: since, orderBy: { id: 'asc' } }),
+        prisma.upload.findMany({ where: since, orderBy: { id: 'asc' } }),
+      ]);
+
+      const row = Object.fromEntries(Object.entries(card).filter(([k]) => !INTERNAL.includes(k)));
+      zip.append(json({ ...row, privacy: privacyOf(card), slugRedirects }), { name: `${dir}/card.json` });
+      zip.append(json(revisions), { name: `${dir}/revisions.json` });
+      zip.append(json(leads.map(({ ip, ...l }) => l)), { name: `${dir}/leads.json` });
+
+      // a stream per card, fed page by page (archiver reads it as the entry's body)
+      const events = new PassThrough();
+      zip.append(events, { name: `${dir}/events.csv` });
+      events.write(toCsvRow(['createdAt', 'kind', 'source', 'referrer', 'ua']));
+      let cursor = null;
+      for (;;) {
+        const page = await prisma.event.findMany({
+          where: since,
+          orderBy: { id: 'asc' },
+          take: 5000,
+          ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+        });
+        let csv = '';
+        for (const e of page) csv += toCsvRow([e.createdAt.toISOString(), e.kind, e.source, e.referrer, e.ua]);
+        if (!events.write(csv)) await Promise.race([once(events, 'drain'), closed]);
+        if (page.length < 5000 || res.destroyed) break;
+        cursor = page[page.length - 1].id;
+      }
+      events.end();
+
+      for (const u of uploads) {
+        for (const file of u.files) {
+          const body = await store.get(file).catch(() => null);
+          if (body) zip.append(body, { name: `${dir}/uploads/${file}` });
+        }
+      }
+    }
+    if (!res.destroyed) await Promise.race([zip.finalize(), closed]);
+  } catch (err) {
+    // headers are out: a half-written zip must not reach the client as a finished one
+    zip.unpipe(res);
+    zip.abort();
+    throw err;
+  }
+});
+
+/**
+ * { confirm: true } — deletes the owner's data and releases their cards:
+ * profile, privacy settings, slugs, revisions, events, leads and uploaded
+ * photos go; each card returns to unclaimed (its printed activation code
+ * works again) and every owner token stops working. Org membership and the
+ * admin audit trail stay.
+ */
+router.delete('/api/auth/me', requireAuth, async (req, res) => {
+  if (req.body?.confirm !== true) return res.status(400).json({ error: 'confirmation_required' });
+  const cards = await accountCards(req.user);
+  if (!cards.length) return res.status(404).json({ error: 'no_cards' });
+  const uids = cards.map(c => c.uid);
+
+  const files = await prisma.$transaction(async (tx) => {
+    const uploads = await tx.upload.findMany({ where: { uid: { in: uids } }, select: { files: true } });
+    for (const before of cards) {
+      const after = await tx.card.update({
+        where: { uid: before.uid },
+        data: {
+          ...profileData({}),
+          privacy: Prisma.DbNull,
+          slug: null,
+          leadNotify: true,
+          claimedAt: null,
+          claimedByEmail: null,
+          claimTokenId: null,
+          tokenVersion: { increment: 1 },
+        },
+      });
+      await enqueueCardUpdated(tx, { before, after, source: 'owner' });
+      await audit(req, { uid: before.uid, action: 'card.owner_delete' }, tx);
+    }
+    const where = { uid: { in: uids } };
+    await tx.slugRedirect.deleteMany({ where });
+    await tx.revision.deleteMany({ where });
+    await tx.event.deleteMany({ where });
+    await tx.lead.deleteMany({ where });
+    await tx.upload.deleteMany({ where });
+    if (req.user.email) await tx.loginCode.deleteMany({ where: { email: req.user.email } });
+    return uploads.flatMap(u => u.files);
+  }, { timeout: 60_000 });
+
+  // files last: a failed transaction must not leave profiles pointing at deleted photos
+  const store = await storage();
+  for (const f of files) {
+    await store.remove(f).catch(e => log.error('account delete: upload removal failed', { requestId: req.id, file: f, ...errorFields(e) }));
+  }
+  res.json({ ok: true, deleted: uids });
+});
+
+export default router;
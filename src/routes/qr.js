@@ -0,0 +1,62 @@
+import express from 'express';
+import crypto from 'crypto';
+import { prisma } from '../lib/db.js';
+import { QR_LOGO_PATH } from '../lib/config.js';
+import { buildVCard, hasProfileData } from '../lib/vcard.js';
+import { buildMicrositeUrl, parseQrOptions, loadLogo, renderQr } from '../lib/qr.js';
+import { presentUrl } from '../lib/storage.js';
+import { withOrgDefaults } from '../lib/orgs.js';
+import { applyPrivacy } from '../lib/privacy.js';
+import { handleAsync } from '../lib/errors.js';
+
+const router = handleAsync(express.Router());
+
+/* =======================  QR Codes  ======================= */
+/**
+ * GET /api/card/:uid/qr
+ *   ?content=url (microsite, default) | vcard (inline vCard payload)
+ *   ?format=png|svg &size=64..2048 &margin=0..16 &ecl=L|M|Q|H &fg=hex &bg=hex
+ *   ?logo=brand (QR_LOGO_PATH) | avatar (card imageUrl)
+ * 410 card_inactive while suspended; content=vcard needs a claimed card (404 not_claimed).
+ * 422 payload_too_large_for_qr / invalid_logo when the QR can't be drawn (see renderQr).
+ * ETag is keyed on the card's (and its org's) updatedAt + the options, so clients can revalidate cheaply.
+ */
+router.get('/api/card/:uid([A-Za-z0-9_-]{8,32})/qr', async (req, res) => {
+  const { uid } = req.params;
+  const content = String(req.query.content || 'url').toLowerCase();
+  if (!['url', 'vcard'].includes(content)) return res.status(400).json({ error: 'invalid_content' });
+
+  const parsed = parseQrOptions(req.query);
+  if (!parsed.ok) return res.status(400).json({ error: parsed.error });
+  const { opts } = parsed;
+
+  const found = await prisma.card.findUnique({ where: { uid }, include: { org: true } });
+  if (!found) return res.status(404).json({ error: 'not_found' });
+  if (found.suspendedAt) return res.status(410).json({ error: 'card_inactive' });
+  // an unclaimed card's details aren't anyone's contact yet
+  if (content === 'vcard' && !found.claimedAt) return res.status(404).json({ error: 'not_claimed' });
+  // vCard-only fields may appear in the QR, hidden ones (and a hidden photo) not
+  const card = applyPrivacy(withOrgDefaults(found), 'vcard');
+  if (content === 'vcard' && !hasProfileData(card))
+    return res.status(404).json({ error: 'no_profile_data' });
+
+  const etag = '"' + crypto.createHash('sha1')
+    .update(JSON.stringify([uid, card.updatedAt, found.org?.updatedAt, content, opts]))
+    .digest('base64url') + '"';
+  res.set('ETag', etag);
+  // a vCard QR carries the owner's contact details: no shared caches
+  res.set('Cache-Control', `${content === 'vcard' ? 'private' : 'public'}, max-age=300`);
+  if (req.fresh) return res.status(304).end();
+
+  const text = content === 'vcard'
+    ? buildVCard(card, { socials: false })
+    : buildMicrositeUrl(uid);
+  const logo = opts.logo === 'brand' ? await loadLogo(QR_LOGO_PATH)
+    : opts.logo === 'avatar' ? await loadLogo(await presentUrl(card.imageUrl))
+    : null;
+
+  const { body, contentType } = await renderQr(text, opts, logo);
+  res.type(contentType).send(body);
+});
+
+export default router;
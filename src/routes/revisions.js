@@ -0,0 +1,119 @@
+import express from 'express';
+import { prisma } from '../lib/db.js';
+import { requireAdmin, requireOwner } from '../lib/auth.js';
+import { profileData, profileOf } from '../lib/profile.js';
+import { recordRevision, diffProfiles, listRevisions } from '../lib/revisions.js';
+import { enqueueCardUpdated } from '../lib/webhooks.js';
+import { validateProfile, sendValidationError } from '../lib/profileSchema.js';
+import { orgOf, stripInherited } from '../lib/orgs.js';
+import { cardEtag, ifMatchFails, sendPreconditionFailed } from '../lib/etag.js';
+import { handleAsync } from '../lib/errors.js';
+
+const router = handleAsync(express.Router());
+
+const ADMIN = '/api/admin/cards/:uid/revisions';
+const OWNER = '/api/card/:uid([A-Za-z0-9_-]{8,32})/revisions';
+
+// owners don't get to see which IP an admin edited from
+const forOwner = (req, row) => (req.user ? { ...row, ip: undefined } : row);
+
+// owners see history from their own claim on: not what a previous owner
+// stored before a reset-claim or transfer (admins see everything)
+const ownerSince = (req) => (req.user ? req.card.claimedAt : null);
+
+async function findRevision(req, id) {
+  if (!Number.isInteger(id)) return null;
+  const rev = await prisma.revision.findUnique({ where: { id } });
+  if (!rev || rev.uid !== req.params.uid) return null;
+  const since = ownerSince(req);
+  return since && rev.createdAt < since ? null : rev;
+}
+
+async function list(req, res) {
+  const { uid } = req.params;
+  const take = Math.min(Math.max(Number(req.query.take) || 50, 1), 200);
+  const cursor = Number.isInteger(Number(req.query.cursor)) && req.query.cursor ? Number(req.query.cursor) : null;
+  const rows = await listRevisions(uid, { take, cursor, since: ownerSince(req) });
+  res.json({
+    rows: rows.map(r => forOwner(req, r)),
+    nextCursor: rows.length === take ? rows[rows.length - 1].id : null,
+  });
+}
+
+async function show(req, res) {
+  const rev = await findRevision(req, Number(req.params.id));
+  if (!rev) return res.status(404).json({ error: 'not_found' });
+  res.json(forOwner(req, rev));
+}
+
+/** ?from=<id>&to=<id|current> (to defaults to the live card) */
+async function diff(req, res) {
+  const { uid } = req.params;
+  const from = await findRevision(req, Number(req.query.from));
+  if (!from) return res.status(404).json({ error: 'from_not_found' });
+
+  let to;
+  if (!req.query.to || req.query.to === 'current') {
+    const card = await prisma.card.findUnique({ where: { uid } });
+    if (!card) return res.status(404).json({ error: 'not_found' });
+    to = { id: 'current', profile: profileOf(card) };
+  } else {
+    to = await findRevision(req, Number(req.query.to));
+    if (!to) return res.status(404).json({ error: 'to_not_found' });
+  }
+
+  res.json({ from: from.id, to: to.id, changes: diffProfiles(from.profile, to.profile) });
+}
+
+/**
+ * Writes the revision's profile back with the checks of any profile write
+ * (see writeProfile in server.js): it is validated again, org defaults are
+ * stored as inherited, and If-Match / concurrent writes answer 412 or 409.
+ */
+async function restore(req, res) {
+  const { uid } = req.params;
+  const rev = await findRevision(req, Number(req.params.id));
+  if (!rev) return res.status(404).json({ error: 'not_found' });
+
+  const before = await prisma.card.findUnique({ where: { uid } });
+  if (!before) return res.status(404).json({ error: 'not_found' });
+  const org = await orgOf(before);
+  const etag = cardEtag(before, org);
+  if (ifMatchFails(req, etag)) return sendPreconditionFailed(res, etag);
+
+  const checked = validateProfile(rev.profile);
+  if (!checked.ok) return sendValidationError(res, checked.errors);
+
+  let after;
+  try {
+    after = await prisma.$transaction(async (tx) => {
+      // only if nobody wrote since `before` was read (P2025 otherwise)
+      const card = await tx.card.update({
+        where: { uid, updatedAt: before.updatedAt },
+        data: profileData(stripInherited(checked.profile, org), before),
+      });
+      await recordRevision(tx, { uid, before, after: card, source: 'restore', req, meta: { restoredFrom: rev.id } });
+      await enqueueCardUpdated(tx, { before, after: card, source: 'restore' });
+      return card;
+    });
+  } catch (e) {
+    if (e.code !== 'P2025') throw e;
+    if (req.get('If-Match')) return sendPreconditionFailed(res, etag);
+    return res.status(409).json({ error: 'edit_conflict' });
+  }
+  res.set('ETag', cardEtag(after, org));
+  res.json({ ok: true, restoredFrom: rev.id, profile: profileOf(after) });
+}
+
+/* ==================  Profile Revisions  ================== */
+router.get(ADMIN, requireAdmin('cards:read'), list);
+router.get(`${ADMIN}/diff`, requireAdmin('cards:read'), diff);
+router.get(`${ADMIN}/:id(\\d+)`, requireAdmin('cards:read'), show);
+router.post(`${ADMIN}/:id(\\d+)/restore`, requireAdmin('cards:write'), restore);
+
+router.get(OWNER, requireOwner, list);
+router.get(`${OWNER}/diff`, requireOwner, diff);
+router.get(`${OWNER}/:id(\\d+)`, requireOwner, show);
+router.post(`${OWNER}/:id(\\d+)/restore`, requireOwner, restore);
+
+export default router;
@@ -0,0 +1,58 @@
+import express from 'express';
+import { prisma } from '../lib/db.js';
+import { hit, parseLimit } from '../lib/rateLimit.js';
+import { recordEvent } from '../lib/events.js';
+import { isBot } from '../lib/analytics.js';
+import { buildMicrositeUrl } from '../lib/qr.js';
+import { log, errorFields } from '../lib/log.js';
+import { RATE_LIMITS, SCAN_SOURCES } from '../lib/config.js';
+import { handleAsync } from '../lib/errors.js';
+
+const router = handleAsync(express.Router());
+
+const LIMIT_IP = parseLimit(RATE_LIMITS.eventIp);
+const LIMIT_UID = parseLimit(RATE_LIMITS.eventUid);
+
+// same counters as POST /api/event; over the limit the visitor is still redirected, just not counted
+async function withinLimits(req, uid) {
+  try {
+    const [ip, card] = await Promise.all([
+      hit(`event:ip:${req.ip}`, LIMIT_IP),
+      hit(`event:uid:${uid}`, LIMIT_UID),
+    ]);
+    return ip.ok && card.ok;
+  } catch (e) {
+    log.error('rate limit store failed', { requestId: req.id, ...errorFields(e) });
+    return true;
+  }
+}
+
+/* =====================  Scan redirect  ===================== */
+/**
+ * GET /c/:uid?src=qr|nfc|link → 302 to the microsite (?src= passed along).
+ * Records a `visit` with ua, ip, source and referrer unless the client is a
+ * bot / link-preview crawler, the request is a HEAD, or the card is unknown or
+ * suspended (those still redirect; the microsite shows the right page).
+ * Recording never holds up the redirect when the database is down.
+ */
+router.get('/c/:uid([A-Za-z0-9_-]{8,32})', async (req, res) => {
+  const { uid } = req.params;
+  const source = SCAN_SOURCES.includes(req.query.src) ? req.query.src : null;
+  const ua = req.get('user-agent') || '';
+
+  if (req.method === 'GET' && ua && !isBot(ua)) {
+    try {
+      const card = await prisma.card.findUnique({ where: { uid }, select: { suspendedAt: true } });
+      if (card && !card.suspendedAt && await withinLimits(req, uid)) {
+        await recordEvent(req, { uid, kind: 'visit', source, referrer: req.get('referer') });
+      }
+    } catch (e) {
+      log.error('scan event failed', { requestId: req.id, uid, ...errorFields(e) });
+    }
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.redirect(302, `${buildMicrositeUrl(uid)}${source ? `&src=${source}` : ''}`);
+});
+
+export default router;
@@ -0,0 +1,92 @@
+import express from 'express';
+import { prisma } from '../lib/db.js';
+import { requireAdmin, requireOwner } from '../lib/auth.js';
+import { audit } from '../lib/audit.js';
+import { log, errorFields } from '../lib/log.js';
+import { sendValidationError } from '../lib/profileSchema.js';
+import { validateSlug, normalizeSlug, setSlug, slugHistory } from '../lib/slugs.js';
+import { handleAsync } from '../lib/errors.js';
+
+const router = handleAsync(express.Router());
+
+const ADMIN = '/api/admin/cards/:uid/slug';
+const OWNER = '/api/card/:uid([A-Za-z0-9_-]{8,32})/slug';
+
+async function show(req, res) {
+  const card = await prisma.card.findUnique({ where: { uid: req.params.uid }, select: { uid: true, slug: true } });
+  if (!card) return res.status(404).json({ error: 'not_found' });
+  res.json({ slug: card.slug, redirects: await slugHistory(card.uid) });
+}
+
+/**
+ * { slug } sets or renames, { slug: null } clears. The previous slug keeps
+ * redirecting to this card (the newest SLUG_MAX_REDIRECTS earlier slugs do).
+ * 409 slug_taken if another card has it or still redirects from it.
+ */
+async function update(req, res) {
+  const { uid } = req.params;
+  const raw = req.body?.slug;
+  let slug = null;
+  if (raw != null && raw !== '') {
+    const checked = validateSlug(raw);
+    if (!checked.ok) {
+      const { ok, ...err } = checked;
+      return sendValidationError(res, [{ field: 'slug', ...err }]);
+    }
+    slug = checked.slug;
+  }
+
+  if (!await prisma.card.findUnique({ where: { uid }, select: { uid: true } }))
+    return res.status(404).json({ error: 'not_found' });
+
+  try {
+    const result = await prisma.$transaction(async (tx) => {
+      const r = await setSlug(tx, uid, slug);
+      if (req.admin && r.slug !== r.previous)
+        await audit(req, { uid, action: 'card.slug', data: { from: r.previous, to: r.slug } }, tx);
+      return r;
+    });
+    res.json({ ...result, redirects: await slugHistory(uid) });
+  } catch (e) {
+    // P2002: lost a race for the same slug
+    if (e.code === 'slug_taken' || e.code === 'P2002') return res.status(409).json({ error: 'slug_taken' });
+    log.error('slug update failed', { requestId: req.id, uid, ...errorFields(e) });
+    res.status(500).json({ error: 'update_failed' });
+  }
+}
+
+/* =====================  Vanity slugs  ===================== */
+router.get(ADMIN, requireAdmin('cards:read'), show);
+router.put(ADMIN, requireAdmin('cards:write'), update);
+router.get(OWNER, requireOwner, show);
+router.put(OWNER, requireOwner, update);
+
+// For the slug editor: { available } or { available: false, code } (taken | invalid_slug | reserved ...)
+router.get('/api/slugs/:slug/available', async (req, res) => {
+  const checked = validateSlug(req.params.slug);
+  if (!checked.ok) return res.json({ slug: normalizeSlug(req.params.slug), available: false, code: checked.code });
+  const { slug } = checked;
+  const [card, old] = await Promise.all([
+    prisma.card.findUnique({ where: { slug }, select: { uid: true } }),
+    prisma.slugRedirect.findUnique({ where: { slug }, select: { uid: true } }),
+  ]);
+  const taken = card || old;
+  // a card may always take back its own earlier slug
+  const mine = typeof req.query.uid === 'string' && taken?.uid === req.query.uid;
+  res.json({ slug, available: !taken || mine, ...(taken && !mine ? { code: 'taken' } : {}) });
+});
+
+// Release an earlier slug so other cards can use it (its printed links stop working)
+router.delete('/api/admin/slug-redirects/:slug', requireAdmin('cards:write'), async (req, res) => {
+  const slug = normalizeSlug(req.params.slug);
+  const old = await prisma.slugRedirect.findUnique({ where: { slug } });
+  if (!old) return res.status(404).json({ error: 'not_found' });
+
+  await prisma.$transaction(async (tx) => {
+    await tx.slugRedirect.delete({ where: { slug } });
+    await audit(req, { uid: old.uid, action: 'card.slug_release', data: { slug } }, tx);
+  });
+  res.json({ ok: true });
+});
+
+export default router;
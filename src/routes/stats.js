@@ -0,0 +1,35 @@
+import express from 'express';
+import { prisma } from '../lib/db.js';
+import { requireAdmin, requireOwner } from '../lib/auth.js';
+import { parseRange, eventStats, fleetSummary } from '../lib/analytics.js';
+import { handleAsync } from '../lib/errors.js';
+
+const router = handleAsync(express.Router());
+
+async function cardStats(req, res) {
+  const { uid } = req.params;
+  const range = parseRange(req.query);
+  if (!range) return res.status(400).json({ error: 'invalid_range' });
+
+  const card = await prisma.card.findUnique({ where: { uid }, select: { uid: true } });
+  if (!card) return res.status(404).json({ error: 'not_found' });
+
+  // owners count from their own claim on, like their leads and revisions (admins see everything)
+  if (req.user && req.card.claimedAt > range.from) range.from = req.card.claimedAt;
+  res.json({ uid, ...(await eventStats([uid], range)) });
+}
+
+/* =====================  Card Analytics  ===================== */
+// ?from=&to= (ISO dates, default last 30 days)
+router.get('/api/admin/cards/:uid/stats', requireAdmin('analytics:read'), cardStats);
+router.get('/api/card/:uid([A-Za-z0-9_-]{8,32})/stats', requireOwner, cardStats);
+
+// Fleet overview: most viewed cards, claim conversion per week (?top=10)
+router.get('/api/admin/stats', requireAdmin('analytics:read'), async (req, res) => {
+  const range = parseRange(req.query);
+  if (!range) return res.status(400).json({ error: 'invalid_range' });
+  const top = Math.min(Math.max(Number(req.query.top) || 10, 1), 100);
+  res.json(await fleetSummary(range, { top }));
+});
+
+export default router;
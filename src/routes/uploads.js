@@ -0,0 +1,100 @@
+import express from 'express';
+import multer from 'multer';
+import { prisma } from '../lib/db.js';
+import { requireAdmin, requireOwnerOrAdmin } from '../lib/auth.js';
+import { revisionActor } from '../lib/revisions.js';
+import { audit } from '../lib/audit.js';
+import { sniffImageType, processAvatar } from '../lib/images.js';
+import { saveUpload, sweepOrphans } from '../lib/uploads.js';
+import { presentUrl } from '../lib/storage.js';
+import { rateLimit } from '../lib/rateLimit.js';
+import { UPLOAD_MAX_MB, STORAGE_SIGNED_URLS, RATE_LIMITS } from '../lib/config.js';
+import { handleAsync } from '../lib/errors.js';
+
+const router = handleAsync(express.Router());
+
+// kept in memory: nothing touches the disk until the bytes are verified and re-encoded
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024, files: 1 },
+});
+
+function receiveFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE')
+      return res.status(413).json({ error: 'file_too_large', maxMB: UPLOAD_MAX_MB });
+    return res.status(400).json({ error: 'upload_failed' });
+  });
+}
+
+// legacy path: POST /api/upload?uid=<uid>
+function uidFromQuery(req, res, next) {
+  if (!req.query.uid) return res.status(400).json({ error: 'uid_required' });
+  req.params.uid = String(req.query.uid);
+  next();
+}
+
+/**
+ * multipart "file" → { url, variants: { 512, 256, 128, webp }, previewUrl? }
+ * Needs the card's owner token or the admin key. The stored files are
+ * re-encoded (no EXIF/GPS) square crops; `url` is what goes in imageUrl.
+ * With STORAGE_SIGNED_URLS, previewUrl is a signed URL the client can display.
+ */
+async function handleUpload(req, res) {
+  const { uid } = req.params;
+  const card = req.card || await prisma.card.findUnique({ where: { uid }, select: { uid: true } });
+  if (!card) return res.status(404).json({ error: 'not_found' });
+  if (!req.file) return res.status(400).json({ error: 'no_file' });
+
+  // trust the bytes, not the client's Content-Type or file name
+  if (!sniffImageType(req.file.buffer))
+    return res.status(400).json({ error: 'invalid_file_type' });
+
+  let variants;
+  try {
+    variants = await processAvatar(req.file.buffer);
+  } catch (e) {
+    if (e.code === 'invalid_image') return res.status(400).json({ error: 'invalid_image' });
+    throw e;
+  }
+
+  const { actorType, actor } = revisionActor(req);
+  const saved = await saveUpload(variants, { uid, actorType, actor, ip: req.ip });
+  res.json({
+    url: saved.url,
+    variants: saved.variants,
+    ...(STORAGE_SIGNED_URLS ? { previewUrl: await presentUrl(saved.url) } : {}),
+  });
+}
+
+// admins (bulk editing from the dashboard) are not throttled
+const limitUploads = rateLimit('upload', [
+  { by: 'ip', limit: RATE_LIMITS.uploadIp, key: req => (req.admin ? null : req.ip) },
+  { by: 'uid', limit: RATE_LIMITS.uploadUid, key: req => (req.admin ? null : req.params.uid) },
+]);
+const canEdit = requireOwnerOrAdmin('cards:write');
+
+/* =====================  Uploads  ===================== */
+router.post('/api/card/:uid/image', canEdit, limitUploads, receiveFile, handleUpload);
+router.post('/api/upload', uidFromQuery, canEdit, limitUploads, receiveFile, handleUpload);
+
+/**
+ * Removes upload files no Card, org or revision imageUrl points at (older than the grace period).
+ * { dryRun: true } only reports; { graceHours } overrides UPLOAD_ORPHAN_GRACE_HOURS.
+ * Also available as `npm run sweep:uploads`.
+ */
+router.post('/api/admin/uploads/sweep', requireAdmin('uploads:manage'), async (req, res) => {
+  const dryRun = req.body?.dryRun === true;
+  const graceHours = req.body?.graceHours;
+  if (graceHours != null && !(Number.isFinite(graceHours) && graceHours >= 0))
+    return res.status(400).json({ error: 'invalid_graceHours' });
+
+  const result = await sweepOrphans({ dryRun, ...(graceHours != null ? { graceHours } : {}) });
+  if (!dryRun && result.removed.length) {
+    await audit(req, { action: 'uploads.sweep', data: { removed: result.removed.length, bytes: result.bytes } });
+  }
+  res.json(result);
+});
+
+export default router;
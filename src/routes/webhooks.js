@@ -0,0 +1,178 @@
+import express from 'express';
+import { prisma } from '../lib/db.js';
+import { requireAdmin, adminActor } from '../lib/auth.js';
+import { audit } from '../lib/audit.js';
+import { normalizeUrl } from '../lib/profileSchema.js';
+import { WEBHOOK_EVENTS, generateWebhookSecret, attemptDelivery, leaseUntil } from '../lib/webhooks.js';
+import { handleAsync } from '../lib/errors.js';
+
+const router = handleAsync(express.Router());
+
+const manage = requireAdmin('webhooks:manage');
+
+// secret is only returned on create and rotate-secret
+const WEBHOOK_SELECT = {
+  id: true, url: true, events: true, active: true, description: true,
+  createdBy: true, createdAt: true, updatedAt: true,
+};
+
+const DELIVERY_SELECT = {
+  id: true, webhookId: true, eventId: true, event: true, status: true, attempts: true,
+  nextAttemptAt: true, lastStatus: true, lastError: true, deliveredAt: true, createdAt: true,
+};
+
+/** { url?, events?, active?, description? } → data, or { error } (`partial` for PUT) */
+function webhookFields(body = {}, partial = false) {
+  const data = {};
+  if (!partial || body.url !== undefined) {
+    const url = typeof body.url === 'string' && /^https?:\/\//i.test(body.url.trim()) ? normalizeUrl(body.url) : null;
+    if (!url) return { error: 'invalid_url' };
+    data.url = url;
+  }
+  if (!partial || body.events !== undefined) {
+    if (!Array.isArray(body.events) || !body.events.length) return { error: 'invalid_events', events: WEBHOOK_EVENTS };
+    const unknown = body.events.find(e => !WEBHOOK_EVENTS.includes(e));
+    if (unknown) return { error: 'unknown_event', event: unknown, events: WEBHOOK_EVENTS };
+    data.events = [...new Set(body.events)];
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') return { error: 'invalid_active' };
+    data.active = body.active;
+  }
+  if (body.description !== undefined) {
+    data.description = typeof body.description === 'string' && body.description.trim()
+      ? body.description.trim().slice(0, 500) : null;
+  }
+  return data;
+}
+
+/* =====================  Admin: Webhooks  ===================== */
+router.get('/api/admin/webhooks', manage, async (req, res) => {
+  const rows = await prisma.webhook.findMany({ orderBy: { id: 'asc' }, select: WEBHOOK_SELECT });
+  res.json({ rows, events: WEBHOOK_EVENTS });
+});
+
+// { url, events: [...], description?, active? } → includes `secret` (shown once)
+router.post('/api/admin/webhooks', manage, async (req, res) => {
+  const fields = webhookFields(req.body);
+  if (fields.error) return res.status(400).json(fields);
+
+  const hook = await prisma.$transaction(async (tx) => {
+    const h = await tx.webhook.create({
+      data: { ...fields, secret: generateWebhookSecret(), createdBy: adminActor(req) },
+      select: { ...WEBHOOK_SELECT, secret: true },
+    });
+    await audit(req, { action: 'webhook.create', data: { webhookId: h.id, url: h.url, events: h.events } }, tx);
+    return h;
+  });
+  res.status(201).json(hook);
+});
+
+router.put('/api/admin/webhooks/:id(\\d+)', manage, async (req, res) => {
+  const id = Number(req.params.id);
+  const fields = webhookFields(req.body, true);
+  if (fields.error) return res.status(400).json(fields);
+  if (!await prisma.webhook.findUnique({ where: { id }, select: { id: true } }))
+    return res.status(404).json({ error: 'not_found' });
+
+  const hook = await prisma.$transaction(async (tx) => {
+    const h = await tx.webhook.update({ where: { id }, data: fields, select: WEBHOOK_SELECT });
+    await audit(req, { action: 'webhook.update', data: { webhookId: id, ...fields } }, tx);
+    return h;
+  });
+  res.json(hook);
+});
+
+// also drops its delivery log
+router.delete('/api/admin/webhooks/:id(\\d+)', manage, async (req, res) => {
+  const id = Number(req.params.id);
+  const hook = await prisma.webhook.findUnique({ where: { id }, select: WEBHOOK_SELECT });
+  if (!hook) return res.status(404).json({ error: 'not_found' });
+
+  await prisma.$transaction(async (tx) => {
+    await tx.webhook.delete({ where: { id } });
+    await audit(req, { action: 'webhook.delete', data: { webhookId: id, url: hook.url } }, tx);
+  });
+  res.json({ ok: true });
+});
+
+router.post('/api/admin/webhooks/:id(\\d+)/rotate-secret', manage, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!await prisma.webhook.findUnique({ where: { id }, select: { id: true } }))
+    return res.status(404).json({ error: 'not_found' });
+
+  const hook = await prisma.$transaction(async (tx) => {
+    const h = await tx.webhook.update({
+      where: { id },
+      data: { secret: generateWebhookSecret() },
+      select: { ...WEBHOOK_SELECT, secret: true },
+    });
+    await audit(req, { action: 'webhook.rotate_secret', data: { webhookId: id } }, tx);
+    return h;
+  });
+  res.json(hook);
+});
+
+// ?status=pending|delivered|failed&take=&cursor= (newest first)
+router.get('/api/admin/webhooks/:id(\\d+)/deliveries', manage, async (req, res) => {
+  const webhookId = Number(req.params.id);
+  const take = Math.min(Math.max(Number(req.query.take) || 50, 1), 200);
+  const cursor = Number(req.query.cursor) || null;
+  const status = req.query.status;
+  if (status && !['pending', 'delivered', 'failed'].includes(status))
+    return res.status(400).json({ error: 'invalid_status' });
+
+  const rows = await prisma.webhookDelivery.findMany({
+    where: { webhookId, ...(status ? { status } : {}) },
+    orderBy: { id: 'desc' },
+    take,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    select: DELIVERY_SELECT,
+  });
+  res.json({ rows, nextCursor: rows.length === take ? rows[rows.length - 1].id : null });
+});
+
+// full row incl. payload and last response body
+router.get('/api/admin/webhook-deliveries/:id(\\d+)', manage, async (req, res) => {
+  const d = await prisma.webhookDelivery.findUnique({ where: { id: Number(req.params.id) } });
+  if (!d) return res.status(404).json({ error: 'not_found' });
+  res.json(d);
+});
+
+/** Queue a delivery again (any status) and try it right away */
+router.post('/api/admin/webhook-deliveries/:id(\\d+)/redeliver', manage, async (req, res) => {
+  const id = Number(req.params.id);
+  const d = await prisma.webhookDelivery.findUnique({ where: { id }, select: { id: true, webhookId: true } });
+  if (!d) return res.status(404).json({ error: 'not_found' });
+
+  // leased, so the worker doesn't send it a second time while we do
+  await prisma.webhookDelivery.update({
+    where: { id },
+    data: { status: 'pending', attempts: 0, nextAttemptAt: leaseUntil(), deliveredAt: null },
+  });
+  await audit(req, { action: 'webhook.redeliver', data: { webhookId: d.webhookId, deliveryId: id } });
+  await attemptDelivery(id);
+  res.json(await prisma.webhookDelivery.findUnique({ where: { id }, select: DELIVERY_SELECT }));
+});
+
+/** Deliver a `ping` event to this webhook now (ignores its event filter) */
+router.post('/api/admin/webhooks/:id(\\d+)/ping', manage, async (req, res) => {
+  const id = Number(req.params.id);
+  const hook = await prisma.webhook.findUnique({ where: { id } });
+  if (!hook) return res.status(404).json({ error: 'not_found' });
+
+  const eventId = `evt_ping_${Date.now()}`;
+  const d = await prisma.webhookDelivery.create({
+    data: {
+      webhookId: id,
+      eventId,
+      event: 'ping',
+      payload: { id: eventId, event: 'ping', createdAt: new Date().toISOString(), data: { webhookId: id } },
+      nextAttemptAt: leaseUntil(), // sent below, not by the worker
+    },
+  });
+  await attemptDelivery(d.id);
+  res.json(await prisma.webhookDelivery.findUnique({ where: { id: d.id }, select: DELIVERY_SELECT }));
+});
+
+export default router;
@@ -1,192 +1,251 @@
-import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import cookieParser from 'cookie-parser';
-import morgan from 'morgan';
-import jwt from 'jsonwebtoken';
 import { nanoid } from 'nanoid';
-import multer from 'multer';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { PrismaClient } from '@prisma/client';
+import {
+  PORT, BASE_URL, ADMIN_KEY, UPLOAD_DIR, STORAGE_DRIVER, STORAGE_SIGNED_URLS, CORS_ORIGINS, SHUTDOWN_TIMEOUT_MS,
+  TRUST_PROXY, RATE_LIMITS, EVENT_KINDS, SCAN_SOURCES, CLAIM_ALLOW_LEGACY, WEBHOOK_WORKER,
+} from './lib/config.js';
+import { prisma } from './lib/db.js';
+import { credentialProblems } from './lib/adminKeys.js';
+import { enqueueWebhook, enqueueCardUpdated, startWebhookWorker, stopWebhookWorker } from './lib/webhooks.js';
+import { log, requestId, requestLogger } from './lib/log.js';
+import { handleAsync, httpError, notFound, errorHandler } from './lib/errors.js';
+import {
+  requireAdmin, requireOwner, normalizeEmail, signOwnerToken,
+} from './lib/auth.js';
+import { buildVCard, fetchPhoto, hasProfileData, negotiateVersion } from './lib/vcard.js';
+import { profileData, profileOf, contactsOf, patchProfile } from './lib/profile.js';
+import { cardEtag, ifMatchFails, sendPreconditionFailed } from './lib/etag.js';
+import { withOrgDefaults, inheritedFields, stripInherited, orgOf } from './lib/orgs.js';
+import { findBySlug } from './lib/slugs.js';
+import { applyPrivacy } from './lib/privacy.js';
+import { recordRevision } from './lib/revisions.js';
+import { validateProfile, isValidEmail, sendValidationError } from './lib/profileSchema.js';
+import { parseCardQuery } from './lib/cardQuery.js';
+import { toCsvRow, SHEET_HEADER, sheetRow } from './lib/csv.js';
+import { buildMicrositeUrl } from './lib/qr.js';
+import { presentUrl, verifyLocalSignature } from './lib/storage.js';
+import { rateLimit, byIp } from './lib/rateLimit.js';
+import { recordEvent } from './lib/events.js';
+import { startRetentionJob, stopRetentionJob } from './lib/retention.js';
+import {
+  newActivation, checkActivationCode, issueClaimToken, verifyClaimToken, sendActivationError,
+} from './lib/activation.js';
+import authRoutes from './routes/auth.js';
+import statsRoutes from './routes/stats.js';
+import qrRoutes from './routes/qr.js';
+import batchRoutes from './routes/batches.js';
+import printRoutes from './routes/print.js';
+import lifecycleRoutes from './routes/lifecycle.js';
+import revisionRoutes from './routes/revisions.js';
+import uploadRoutes from './routes/uploads.js';
+import adminRoutes from './routes/admins.js';
+import webhookRoutes from './routes/webhooks.js';
+import leadRoutes from './routes/leads.js';
+import orgRoutes from './routes/orgs.js';
+import slugRoutes from './routes/slugs.js';
+import scanRoutes from './routes/scan.js';
+import importRoutes from './routes/imports.js';
+import privacyRoutes from './routes/privacy.js';
+
+const app = handleAsync(express());
+app.set('trust proxy', TRUST_PROXY);
+
+let shuttingDown = false;
+
+// request id + one JSON log line per request (not for health probes)
+app.use(requestId);
+app.use(requestLogger({ skip: ['/healthz', '/readyz'] }));
+app.use((req, res, next) => {
+  if (shuttingDown) res.set('Connection', 'close');
+  next();
+});
 
-const prisma = new PrismaClient();
-const app = express();
+/* ----------------------- ❤️ HEALTH CHECKS ----------------------- */
+// liveness: the process answers
+app.get('/healthz', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ ok: true });
+});
 
-/* ----------------------- 🔐 CORS CONFIG ----------------------- */
-const allowedOrigins = [
-  'https://spexcard.com',
-  'https://www.spexcard.com',
-];
+// readiness: the database answers too (and we're not shutting down)
+app.get('/readyz', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  if (shuttingDown) return res.status(503).json({ error: 'shutting_down' });
+  try {
+    await Promise.race([
+      prisma.$queryRaw`SELECT 1`,
+      new Promise((_, reject) => setTimeout(() => reject(new Error('db check timed out')), 2000).unref()),
+    ]);
+    res.json({ ok: true, db: 'ok' });
+  } catch (e) {
+    log.warn('readiness check failed', { requestId: req.id, reason: e.message });
+    res.status(503).json({ error: 'database_unavailable' });
+  }
+});
 
-app.use(cors({
+/* ----------------------- 🔐 CORS CONFIG ----------------------- */
+// CORS_ORIGINS; other browser origins get 403 origin_not_allowed
+const corsOptions = {
   origin: (origin, cb) => {
     if (!origin) return cb(null, true); // server-to-server or same-origin
-    if (allowedOrigins.includes(origin)) return cb(null, true);
-    return cb(new Error('Not allowed by CORS'));
+    if (CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin)) return cb(null, true);
+    return cb(httpError(403, 'origin_not_allowed'));
   },
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'x-admin-key', 'Authorization', 'Cache-Control'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'x-admin-key', 'Authorization', 'Cache-Control', 'If-Match'],
+  exposedHeaders: ['Retry-After', 'ETag'],
   credentials: false,
   maxAge: 86400,
-}));
+};
 
-app.options('*', cors()); // handle preflight globally
+app.use(cors(corsOptions));
+app.options('*', cors(corsOptions)); // handle preflight globally
 /* ------------------------------------------------------------- */
 
-const PORT = process.env.PORT || 8080;
-const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret';
-const FRONTEND_BASE = process.env.FRONTEND_BASE || 'http://localhost:3000';
-const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
-const ADMIN_KEY = process.env.ADMIN_KEY || 'diego';
-
 // middleware
-app.use(express.json({ limit: '6mb' }));
+app.use(express.json({ limit: '6mb', type: ['application/json', 'application/merge-patch+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '6mb' }));
 app.use(cookieParser());
-app.use(morgan('tiny'));
 
-// static uploads
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-
-// ---------- Helpers ----------
-function requireAdmin(req, res, next) {
-  const key = req.headers['x-admin-key'];
-  if (!ADMIN_KEY || key !== ADMIN_KEY)
-    return res.status(401).json({ error: 'admin_only' });
-  next();
-}
-
-function requireAuth(req, res, next) {
-  const raw = req.headers.authorization || '';
-  const token = raw.startsWith('Bearer ') ? raw.slice(7) : null;
-  if (!token) return res.status(401).json({ error: 'no_token' });
-  try {
-    req.user = jwt.verify(token, JWT_SECRET);
-    next();
-  } catch {
-    return res.status(401).json({ error: 'bad_token' });
+// static uploads (local storage driver only)
+if (STORAGE_DRIVER === 'local') {
+  if (STORAGE_SIGNED_URLS) {
+    app.use('/uploads', (req, res, next) =>
+      verifyLocalSignature(decodeURIComponent(req.path.slice(1)), req.query)
+        ? next()
+        : res.status(403).json({ error: 'invalid_signature' }));
   }
-}
-
-// uploads (multer → local disk)
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, path.join(__dirname, '../uploads')),
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname || '').toLowerCase() || '.jpg';
-    cb(null, `${Date.now()}-${nanoid(8)}${ext}`);
-  },
-});
-const fileFilter = (req, file, cb) => {
-  const ok = /image\/(jpeg|jpg|png|webp|gif)/.test(file.mimetype);
-  cb(ok ? null : new Error('invalid_file_type'), ok);
-};
-const upload = multer({
-  storage,
-  fileFilter,
-  limits: { fileSize: 5 * 1024 * 1024 }, // ✅ allow up to 5MB
-});
-
-/* ======================  vCard helpers  ====================== */
-function hasProfileData(c) {
-  return !!(
-    c?.name || c?.mobile || c?.phone ||
-    c?.emailPublic || c?.email || c?.company ||
-    c?.title || c?.website || c?.address || c?.imageUrl
-  );
-}
-
-function vcardFrom(card) {
-  const parts = (card.name || '').trim().split(/\s+/);
-  const first = parts[0] || '';
-  const last  = parts.length > 1 ? parts[parts.length - 1] : '';
-  const email = card.emailPublic || card.email || '';
-
-  return [
-    'BEGIN:VCARD',
-    'VERSION:3.0',
-    `N:${last};${first};;;`,
-    `FN:${card.name || ''}`,
-    card.company ? `ORG:${card.company}` : '',
-    card.title ? `TITLE:${card.title}` : '',
-    card.mobile ? `TEL;TYPE=CELL,VOICE:${card.mobile}` : '',
-    card.phone ? `TEL;TYPE=WORK,VOICE:${card.phone}` : '',
-    email ? `EMAIL;TYPE=INTERNET:${email}` : '',
-    card.website ? `URL:${card.website}` : '',
-    card.address ? `ADR;TYPE=WORK:;;${card.address};;;;` : '',
-    'END:VCARD',
-  ].filter(Boolean).join('\r\n');
+  app.use('/uploads', express.static(UPLOAD_DIR));
 }
 
 /* =======================  Admin Routes  ====================== */
-app.post('/api/admin/create-uid', requireAdmin, async (req, res) => {
+// activationCode is only ever shown here (and when regenerated) — print it with the card
+app.post('/api/admin/create-uid', requireAdmin('batches:create'), async (req, res) => {
   const uid = nanoid(10);
-  await prisma.card.create({ data: { uid } });
-  res.json({ uid });
+  const { code, data } = newActivation(uid);
+  await prisma.card.create({ data: { uid, ...data } });
+  res.json({ uid, activationCode: code });
 });
 
-app.post('/api/admin/create-uids', requireAdmin, async (req, res) => {
-  const count = Math.min(Math.max(Number(req.body?.count) || 1, 1), 200);
-  const rows = [];
-  for (let i = 0; i < count; i++) {
-    const uid = nanoid(10);
-    await prisma.card.create({ data: { uid } });
-    rows.push({ uid });
-  }
-  res.json({ ok: true, rows });
-});
+const ADMIN_CARD_SELECT = {
+  uid: true, slug: true, createdAt: true, updatedAt: true,
+  name: true, company: true, title: true,
+  phone: true, mobile: true, email: true,
+  website: true, address: true, socials: true, imageUrl: true,
+  phones: true, emails: true, urls: true, addresses: true, links: true, privacy: true,
+  claimedAt: true, batchId: true, orgId: true, suspendedAt: true,
+  _count: { select: { leads: true } },
+};
+
+// Filters/sort/cursor: see src/lib/cardQuery.js. ?format=csv streams the whole result set.
+app.get('/api/admin/cards', requireAdmin('cards:read'), async (req, res) => {
+  const parsed = parseCardQuery(req.query);
+  if (!parsed.ok) return res.status(400).json({ error: parsed.error });
+  const { where, orderBy } = parsed;
+
+  if (req.query.format === 'csv') return streamCardsCsv(res, where, orderBy);
 
-app.get('/api/admin/cards', requireAdmin, async (req, res) => {
   const take = Math.min(Math.max(Number(req.query.take) || 100, 1), 500);
-  const skip = Math.max(Number(req.query.skip) || 0, 0);
+  const cursor = typeof req.query.cursor === 'string' && req.query.cursor ? req.query.cursor : null;
+  const skip = cursor ? 1 : Math.max(Number(req.query.skip) || 0, 0);
+
   const [items, total] = await Promise.all([
     prisma.card.findMany({
-      orderBy: { createdAt: 'desc' },
-      select: {
-        uid: true, createdAt: true, updatedAt: true,
-        name: true, company: true, title: true,
-        phone: true, mobile: true, email: true,
-        website: true, address: true, socials: true, imageUrl: true,
-        claimedAt: true,
-      },
+      where,
+      orderBy,
+      select: ADMIN_CARD_SELECT,
       take, skip,
+      ...(cursor ? { cursor: { uid: cursor } } : {}),
     }),
-    prisma.card.count(),
+    prisma.card.count({ where }),
   ]);
-  const rows = items.map(c => ({ ...c, claimed: !!c.claimedAt }));
-  res.json({ total, rows, take, skip });
+  const rows = items.map(({ _count, ...c }) => ({ ...c, claimed: !!c.claimedAt, leads: _count.leads }));
+  const nextCursor = items.length === take ? items[items.length - 1].uid : null;
+  res.json({ total, rows, take, skip, nextCursor });
 });
 
+/** Resolves once `res` takes data again, or the client went away (check res.destroyed) */
+function drained(res) {
+  return new Promise((resolve) => {
+    if (res.destroyed) return resolve();
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/** Same columns as scripts/export_qr_sheet.mjs, fetched 500 rows at a time */
+async function streamCardsCsv(res, where, orderBy) {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="cards-${new Date().toISOString().slice(0, 10)}.csv"`);
+  res.write(toCsvRow(SHEET_HEADER));
+
+  let cursor = null;
+  for (;;) {
+    const page = await prisma.card.findMany({
+      where, orderBy, select: ADMIN_CARD_SELECT, take: 500,
+      ...(cursor ? { cursor: { uid: cursor }, skip: 1 } : {}),
+    });
+    for (const c of page) {
+      if (!res.write(toCsvRow(sheetRow(c, buildMicrositeUrl(c.uid))))) await drained(res);
+      // client disconnected: stop reading the table
+      if (res.destroyed) return;
+    }
+    if (page.length < 500) break;
+    cursor = page[page.length - 1].uid;
+  }
+  res.end();
+}
+
 /* =======================  Public Routes  ===================== */
-/** 
- * IMPORTANT: vCard route MUST be defined BEFORE the JSON route,
- * and the dot in ".vcf" must be escaped. Regex restricts UID.
+/**
+ * ?version=3.0|4.0 (or Accept: text/vcard;version=4.0)
+ * ?photo=uri (default) | inline | none
  */
-app.get('/api/card/:uid([A-Za-z0-9_-]{8,32})\\.vcf', async (req, res) => {
-  const { uid } = req.params;
-  const c = await prisma.card.findUnique({ where: { uid } });
-  if (!c) return res.status(404).send('Not found');
-  if (!hasProfileData(c)) return res.status(204).send(); // nothing to export
-
-  const vcf = vcardFrom(c);
+async function sendCardVcf(req, res, found) {
+  if (!found) return res.status(404).send('Not found');
+  if (found.suspendedAt) return res.status(410).send('Card inactive');
+  const card = applyPrivacy(withOrgDefaults(found), 'vcard');
+  if (!hasProfileData(card)) return res.status(204).send(); // nothing to export
+  const c = { ...card, imageUrl: await presentUrl(card.imageUrl) };
+
+  const version = negotiateVersion(req);
+  const mode = req.query.photo || 'uri';
+  const photo = mode === 'none' ? false
+    : mode === 'inline' ? (await fetchPhoto(c.imageUrl)) || 'uri'
+    : 'uri';
+
+  const vcf = buildVCard(c, { version, photo });
   res.set('Content-Type', 'text/vcard; charset=utf-8');
-  res.set('Content-Disposition', `attachment; filename="${uid}.vcf"`);
+  res.set('Vary', 'Accept');
+  res.set('Content-Disposition', `attachment; filename="${c.slug || c.uid}.vcf"`);
   res.send(vcf);
-});
+}
 
-app.get('/api/card/:uid([A-Za-z0-9_-]{8,32})', async (req, res) => {
-  const { uid } = req.params;
-  const card = await prisma.card.findUnique({ where: { uid } });
-  if (!card) return res.status(404).json({ error: 'not_found' });
+// org members: empty shared fields show the org default; `inherited` lists which
+async function sendCardJson(res, found) {
+  if (!found) return res.status(404).json({ error: 'not_found' });
+  const { uid, slug } = found;
+  const card = applyPrivacy(withOrgDefaults(found), 'json');
+  res.set('ETag', cardEtag(found));
+  if (card.suspendedAt)
+    return res.status(410).json({ uid, active: false, error: 'card_inactive' });
 
+  // claim tokens come from POST /api/card/:uid/activate
   if (!card.claimedAt) {
-    const claimToken = jwt.sign({ uid, purpose: 'claim' }, JWT_SECRET);
-    return res.json({ uid, claimed: false, claimToken });
+    const activationRequired = !!card.activationHash || !CLAIM_ALLOW_LEGACY;
+    return res.json({ uid, claimed: false, activationRequired });
   }
 
   res.json({
     uid,
+    slug,
     claimed: true,
     profile: {
       name: card.name,
@@ -198,152 +257,346 @@ app.get('/api/card/:uid([A-Za-z0-9_-]{8,32})', async (req, res) => {
       website: card.website,
       address: card.address,
       socials: card.socials || {},
-      imageUrl: card.imageUrl,
+      imageUrl: await presentUrl(card.imageUrl),
+      // every value, labeled; the flat fields above are the primary ones
+      ...contactsOf(card),
     },
+    ...(found.org ? { org: { id: found.org.id, name: found.org.name }, inherited: inheritedFields(found) } : {}),
   });
+}
+
+/**
+ * Vanity slugs, matched case-insensitively. A card's earlier slug answers
+ * 302 to its current address (the uid route if the slug was cleared); not 301,
+ * as the slug may be released and taken by another card (see slugs.js).
+ */
+async function bySlug(req, res, send, suffix = '') {
+  const found = await findBySlug(req.params.slug, { include: { org: true } });
+  if (found?.redirect) {
+    const { slug, uid } = found.card;
+    const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+    const to = slug ? `/api/card/by-slug/${slug}` : `/api/card/${uid}`;
+    return res.redirect(302, `${to}${suffix}${query}`);
+  }
+  return send(found?.card);
+}
+
+/** 
+ * IMPORTANT: vCard routes MUST be defined BEFORE the JSON routes,
+ * and the dot in ".vcf" must be escaped. Regex restricts UID.
+ */
+app.get('/api/card/by-slug/:slug([A-Za-z0-9-]{1,64})\\.vcf', (req, res) =>
+  bySlug(req, res, card => sendCardVcf(req, res, card), '.vcf'));
+
+app.get('/api/card/by-slug/:slug([A-Za-z0-9-]{1,64})', (req, res) =>
+  bySlug(req, res, card => sendCardJson(res, card)));
+
+app.get('/api/card/:uid([A-Za-z0-9_-]{8,32})\\.vcf', async (req, res) => {
+  const card = await prisma.card.findUnique({ where: { uid: req.params.uid }, include: { org: true } });
+  await sendCardVcf(req, res, card);
+});
+
+app.get('/api/card/:uid([A-Za-z0-9_-]{8,32})', async (req, res) => {
+  const card = await prisma.card.findUnique({ where: { uid: req.params.uid }, include: { org: true } });
+  await sendCardJson(res, card);
 });
 
 // Claim route
-app.post('/api/card/claim', async (req, res) => {
-  const { uid, claimToken, profile, emailForLogin } = req.body || {};
-  if (!uid || !claimToken)
+const bodyUid = (req) => (typeof req.body?.uid === 'string' ? req.body.uid : null);
+
+const limitClaims = rateLimit('claim', [
+  { by: 'ip', limit: RATE_LIMITS.claimIp, key: byIp },
+  { by: 'uid', limit: RATE_LIMITS.claimUid, key: req => req.params.uid || bodyUid(req) },
+]);
+
+// { activationCode } → { claimToken, expiresIn } (single use, CLAIM_TOKEN_TTL_MIN)
+app.post('/api/card/:uid([A-Za-z0-9_-]{8,32})/activate', limitClaims, async (req, res) => {
+  const { uid } = req.params;
+  const card = await prisma.card.findUnique({ where: { uid } });
+  if (!card) return res.status(404).json({ error: 'not_found' });
+  if (card.suspendedAt) return res.status(410).json({ error: 'card_inactive' });
+  if (card.claimedAt) return res.status(409).json({ error: 'already_claimed' });
+
+  const check = await checkActivationCode(card, req.body?.activationCode);
+  if (!check.ok) return sendActivationError(res, check);
+  res.json(await issueClaimToken(uid));
+});
+
+// { uid, claimToken | activationCode, profile, emailForLogin? }
+app.post('/api/card/claim', limitClaims, async (req, res) => {
+  const { uid, claimToken, activationCode, emailForLogin } = req.body || {};
+  if (!uid || (!claimToken && !activationCode))
     return res.status(400).json({ error: 'missing_params' });
 
-  try {
-    const payload = jwt.verify(claimToken, JWT_SECRET);
-    if (payload.purpose !== 'claim' || payload.uid !== uid)
-      return res.status(400).json({ error: 'invalid_token' });
-  } catch {
-    return res.status(401).json({ error: 'token_expired_or_invalid' });
+  const checked = validateProfile(req.body?.profile);
+  const errors = checked.ok ? [] : checked.errors;
+  if (emailForLogin != null && emailForLogin !== '' && !isValidEmail(emailForLogin))
+    errors.push({ field: 'emailForLogin', code: 'invalid_email' });
+  if (errors.length) return sendValidationError(res, errors);
+  const { profile } = checked;
+
+  const card = await prisma.card.findUnique({ where: { uid } });
+  if (!card) return res.status(404).json({ error: 'not_found' });
+
+  let tokenId = null;
+  if (claimToken) {
+    tokenId = verifyClaimToken(claimToken, uid);
+    if (!tokenId || tokenId !== card.claimTokenId)
+      return res.status(401).json({ error: 'token_expired_or_invalid' });
+  } else if (!card.claimedAt && !card.suspendedAt) {
+    const check = await checkActivationCode(card, activationCode);
+    if (!check.ok) return sendActivationError(res, check);
   }
 
-  const updated = await prisma.card.updateMany({
-    where: { uid, claimedAt: null },
-    data: {
-      name: profile?.name ?? null,
-      company: profile?.company ?? null,
-      title: profile?.title ?? null,
-      phone: profile?.phone ?? null,
-      mobile: profile?.mobile ?? null,
-      email: profile?.email ?? null,
-      website: profile?.website ?? null,
-      address: profile?.address ?? null,
-      socials: profile?.socials ?? {},
-      imageUrl: profile?.imageUrl ?? null,
-      claimedAt: new Date(),
-      claimedByEmail: emailForLogin ?? null,
-    },
+  const org = await orgOf(card);
+  const updated = await prisma.$transaction(async (tx) => {
+    const before = await tx.card.findUnique({ where: { uid } });
+    const r = await tx.card.updateMany({
+      where: { uid, claimedAt: null, suspendedAt: null, ...(tokenId ? { claimTokenId: tokenId } : {}) },
+      data: {
+        ...profileData(stripInherited(profile, org), before),
+        claimedAt: new Date(),
+        claimedByEmail: normalizeEmail(emailForLogin),
+        claimTokenId: null,
+        activationFailures: 0,
+      },
+    });
+    if (r.count) {
+      const after = await tx.card.findUnique({ where: { uid } });
+      await recordRevision(tx, {
+        uid, before, after, source: 'claim', req,
+        by: { actorType: 'owner', actor: normalizeEmail(emailForLogin) || `token:${uid}` },
+      });
+      await enqueueWebhook(tx, 'card.claimed', {
+        uid, claimedAt: after.claimedAt, claimedByEmail: after.claimedByEmail, profile: profileOf(after),
+      });
+    }
+    return r;
   });
 
-  if (updated.count === 0)
+  if (updated.count === 0) {
+    const card = await prisma.card.findUnique({ where: { uid }, select: { suspendedAt: true } });
+    if (card?.suspendedAt) return res.status(410).json({ error: 'card_inactive' });
     return res.status(409).json({ error: 'already_claimed' });
+  }
 
-  const authToken = jwt.sign({ uid }, JWT_SECRET, { expiresIn: '90d' });
+  // a card-only token: emailForLogin is unverified here, email tokens come from /api/auth/verify
+  const { tokenVersion } = await prisma.card.findUnique({ where: { uid }, select: { tokenVersion: true } });
+  const authToken = signOwnerToken({ uid, v: tokenVersion });
   res.json({ uid, authToken });
 });
 
-// Owner Updates
-app.put('/api/card/:uid([A-Za-z0-9_-]{8,32})', requireAuth, async (req, res) => {
-  if (req.user.uid !== req.params.uid)
-    return res.status(403).json({ error: 'forbidden' });
-  const p = req.body?.profile || {};
-  await prisma.card.update({
-    where: { uid: req.params.uid },
-    data: {
-      name: p.name ?? null,
-      company: p.company ?? null,
-      title: p.title ?? null,
-      phone: p.phone ?? null,
-      mobile: p.mobile ?? null,
-      email: p.email ?? null,
-      website: p.website ?? null,
-      address: p.address ?? null,
-      socials: p.socials ?? {},
-      imageUrl: p.imageUrl ?? null,
-    },
-  });
-  res.json({ ok: true });
-});
+/**
+ * Profile writes (owner and admin). PUT replaces the whole profile; PATCH
+ * merges `profile` into the stored one (RFC 7396: null clears a field,
+ * socials merge per network, lists are replaced whole). With If-Match the
+ * write only happens while the card still has that ETag (else 412). A write
+ * racing another one answers 412 (with If-Match) or 409 edit_conflict.
+ * → the updated card, or null once an error response went out
+ */
+async function writeProfile(req, res, before, { source, revision, select }) {
+  const { uid } = req.params;
+  const patch = req.body?.profile;
+  if (req.method === 'PATCH' && (patch === null || typeof patch !== 'object' || Array.isArray(patch))) {
+    sendValidationError(res, [{ field: 'profile', code: 'invalid_type' }]);
+    return null;
+  }
+
+  const org = await orgOf(before);
+  const etag = cardEtag(before, org);
+  if (ifMatchFails(req, etag)) {
+    sendPreconditionFailed(res, etag);
+    return null;
+  }
+
+  const checked = validateProfile(req.method === 'PATCH' ? patchProfile(before, patch) : patch);
+  if (!checked.ok) {
+    sendValidationError(res, checked.errors);
+    return null;
+  }
+
+  try {
+    const after = await prisma.$transaction(async (tx) => {
+      // only if nobody wrote since `before` was read (P2025 otherwise)
+      const after = await tx.card.update({
+        where: { uid, updatedAt: before.updatedAt },
+        data: profileData(stripInherited(checked.profile, org), before),
+        ...(select ? { select } : {}),
+      });
+      await recordRevision(tx, { uid, before, after, source: revision, req });
+      await enqueueCardUpdated(tx, { before, after, source });
+      return after;
+    });
+    res.set('ETag', cardEtag(after, org));
+    return after;
+  } catch (e) {
+    if (e.code !== 'P2025') throw e;
+    if (req.get('If-Match')) sendPreconditionFailed(res, etag);
+    else res.status(409).json({ error: 'edit_conflict' });
+    return null;
+  }
+}
+
+// Owner Updates (claim token for this uid, or sign-in token for the owning email)
+const ownerUpdate = async (req, res) => {
+  if (await writeProfile(req, res, req.card, { source: 'owner', revision: 'owner_update' })) res.json({ ok: true });
+};
+app.put('/api/card/:uid([A-Za-z0-9_-]{8,32})', requireOwner, ownerUpdate);
+app.patch('/api/card/:uid([A-Za-z0-9_-]{8,32})', requireOwner, ownerUpdate);
 
 // ============ Admin: read single card (no claim fields changed) ============
-app.get('/api/admin/cards/:uid', requireAdmin, async (req, res) => {
+app.get('/api/admin/cards/:uid', requireAdmin('cards:read'), async (req, res) => {
   const { uid } = req.params;
   const card = await prisma.card.findUnique({
     where: { uid },
     select: {
-      uid: true, createdAt: true, updatedAt: true,
+      uid: true, slug: true, createdAt: true, updatedAt: true,
       name: true, company: true, title: true,
       phone: true, mobile: true, email: true,
       website: true, address: true, socials: true, imageUrl: true,
+      phones: true, emails: true, urls: true, addresses: true, links: true, privacy: true,
       claimedAt: true, claimedByEmail: true,
+      suspendedAt: true, suspendedReason: true, batchId: true, orgId: true,
+      activationHash: true, activationLockedUntil: true,
+      org: { select: { updatedAt: true } },
+      _count: { select: { leads: true } },
     },
   });
   if (!card) return res.status(404).json({ error: 'not_found' });
-  res.json(card);
+  const { activationHash, _count, org, ...rest } = card;
+  res.set('ETag', cardEtag(card));
+  res.json({ ...rest, hasActivationCode: !!activationHash, leads: _count.leads });
 });
 
 // ============ Admin: update profile fields only (do NOT change claim fields) ============
-app.put('/api/admin/cards/:uid', requireAdmin, async (req, res) => {
-  const { uid } = req.params;
-  const p = req.body?.profile || {};
-
-  // Whitelist only profile fields; DO NOT include claimedAt/claimedByEmail
-  const data = {
-    name: p.name ?? null,
-    company: p.company ?? null,
-    title: p.title ?? null,
-    phone: p.phone ?? null,
-    mobile: p.mobile ?? null,
-    email: p.email ?? null,
-    website: p.website ?? null,
-    address: p.address ?? null,
-    socials: p.socials ?? {},
-    imageUrl: p.imageUrl ?? null,
-  };
-
+const adminUpdate = async (req, res) => {
+  const before = await prisma.card.findUnique({ where: { uid: req.params.uid } });
+  if (!before) return res.status(404).json({ error: 'not_found' });
   try {
-    const updated = await prisma.card.update({
-      where: { uid },
-      data,
+    const updated = await writeProfile(req, res, before, {
+      source: 'admin',
+      revision: 'admin_update',
       select: {
         uid: true, name: true, company: true, title: true,
         phone: true, mobile: true, email: true,
         website: true, address: true, socials: true, imageUrl: true,
+        phones: true, emails: true, urls: true, addresses: true, links: true,
         claimedAt: true, claimedByEmail: true, updatedAt: true,
       },
     });
-    res.json(updated);
+    if (updated) res.json(updated);
   } catch (e) {
     res.status(400).json({ error: 'update_failed' });
   }
+};
+app.put('/api/admin/cards/:uid', requireAdmin('cards:write'), adminUpdate);
+app.patch('/api/admin/cards/:uid', requireAdmin('cards:write'), adminUpdate);
+
+// Analytics
+/**
+ * { uid, kind = 'visit', ua?, source?, referrer? } — uid must exist and kind be one of EVENT_KINDS;
+ * source (qr | nfc | link) is what the microsite got as ?src= from the scan redirect,
+ * referrer its document.referrer.
+ * Visits are deduped per client, see recordEvent().
+ */
+app.post('/api/event', rateLimit('event', [
+  { by: 'ip', limit: RATE_LIMITS.eventIp, key: byIp },
+  { by: 'uid', limit: RATE_LIMITS.eventUid, key: bodyUid },
+]), async (req, res) => {
+  const { uid, kind = 'visit', ua, source, referrer } = req.body || {};
+  if (!bodyUid(req)) return res.status(400).json({ error: 'missing_uid' });
+  if (!EVENT_KINDS.includes(kind)) return res.status(400).json({ error: 'invalid_kind' });
+  if (source != null && !SCAN_SOURCES.includes(source)) return res.status(400).json({ error: 'invalid_source' });
+
+  const card = await prisma.card.findUnique({ where: { uid }, select: { suspendedAt: true } });
+  if (!card) return res.status(404).json({ error: 'not_found' });
+  if (card.suspendedAt) return res.status(410).json({ error: 'card_inactive' });
+
+  const r = await recordEvent(req, { uid, kind, ua, source: source ?? null, referrer });
+  res.json(r.deduped ? { ok: true, deduped: true } : { ok: true });
 });
 
+// Production batches (bulk UID creation)
+app.use(batchRoutes);
+app.use(printRoutes);
 
-// Uploads & Analytics
-app.post('/api/upload', (req, res) => {
-  upload.single('file')(req, res, (err) => {
-    if (err) {
-      if (err.code === 'LIMIT_FILE_SIZE') {
-        return res.status(413).json({ error: 'file_too_large', maxMB: 5 });
-      }
-      if (err.message === 'invalid_file_type') {
-        return res.status(400).json({ error: 'invalid_file_type' });
-      }
-      return res.status(400).json({ error: 'upload_failed' });
-    }
-    if (!req.file) return res.status(400).json({ error: 'no_file' });
+// Suspend / reset claim / transfer (audited)
+app.use(lifecycleRoutes);
 
-    const url = `${BASE_URL}/uploads/${req.file.filename}`;
-    res.json({ url });
-  });
-});
+// Profile history: list, diff, restore
+app.use(revisionRoutes);
 
-app.post('/api/event', async (req, res) => {
-  const { uid, kind, ua } = req.body || {};
-  await prisma.event.create({
-    data: { uid: uid || 'unknown', kind: kind || 'visit', ua, ip: req.ip },
-  });
-  res.json({ ok: true });
-});
+// Owner sign-in (magic link / code)
+app.use(authRoutes);
+
+// Analytics (per card + fleet)
+app.use(statsRoutes);
 
-app.listen(PORT, () => console.log(`✅ spex-api running on ${BASE_URL}`));
+// On-demand QR images
+app.use(qrRoutes);
+
+// Image uploads + orphan sweep
+app.use(uploadRoutes);
+
+// Admin users, scoped API keys, access log
+app.use(adminRoutes);
+
+// Outgoing webhooks (subscriptions, delivery log)
+app.use(webhookRoutes);
+
+// Lead capture (public form, owner inbox + exports)
+app.use(leadRoutes);
+
+// Organizations: shared defaults, member cards, managers, org analytics
+app.use(orgRoutes);
+
+// Vanity slugs (set/rename/clear, availability, redirect history)
+app.use(slugRoutes);
+
+// Short scan links: GET /c/:uid records the scan and redirects to the microsite
+app.use(scanRoutes);
+
+// CSV import of card profiles (dry run report, transactional apply)
+app.use(importRoutes);
+
+// Field privacy, owner data export and account deletion
+app.use(privacyRoutes);
+
+// everything else: JSON 404, and errors from any route as { error, requestId }
+app.use(notFound);
+app.use(errorHandler);
+
+const problems = await credentialProblems();
+if (problems.length) {
+  log.error('refusing to start in production', { problems });
+  process.exit(1);
+}
+if (!ADMIN_KEY) log.warn('ADMIN_KEY not set — admin routes need an API key (npm run admin:create)');
+
+const server = app.listen(PORT, () => log.info('spex-api running', { url: BASE_URL }));
+if (WEBHOOK_WORKER) startWebhookWorker();
+startRetentionJob();
+
+/**
+ * SIGTERM / SIGINT: /readyz turns 503, no new connections, running requests
+ * and webhook deliveries get SHUTDOWN_TIMEOUT_MS to finish, then Prisma
+ * disconnects and the process exits.
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info('shutting down', { signal });
+  stopRetentionJob();
+
+  const drained = Promise.all([new Promise(resolve => server.close(resolve)), stopWebhookWorker()]);
+  const timeout = new Promise(resolve => setTimeout(resolve, SHUTDOWN_TIMEOUT_MS, 'timeout').unref());
+  if (await Promise.race([drained, timeout]) === 'timeout') {
+    log.warn('shutdown timeout, closing open connections', { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+    server.closeAllConnections();
+  }
+  await prisma.$disconnect().catch(e => log.error('prisma disconnect failed', { reason: e.message }));
+  log.info('stopped');
+  process.exit(0);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
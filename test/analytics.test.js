@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isBot, deviceClass } from '../src/lib/analytics.js';
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+const PIXEL = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Mobile Safari/537.36';
+const TAB = 'Mozilla/5.0 (Linux; Android 13; SM-X710) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36';
+const MAC = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36';
+
+test('isBot spots crawlers, link previews and HTTP libraries', () => {
+  for (const ua of [
+    'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+    'facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)',
+    'WhatsApp/2.23.20.0',
+    'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)',
+    'TelegramBot (like TwitterBot)',
+    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/125.0.0.0 Safari/537.36',
+    'curl/8.5.0',
+    'python-requests/2.31.0',
+    'okhttp/4.12.0',
+    'Java/17.0.2',
+  ]) assert.equal(isBot(ua), true, ua);
+
+  for (const ua of [IPHONE, PIXEL, TAB, MAC, '', null, undefined]) assert.equal(isBot(ua), false, String(ua));
+});
+
+test('deviceClass buckets people and leaves bots out', () => {
+  assert.equal(deviceClass(IPHONE), 'mobile');
+  assert.equal(deviceClass(PIXEL), 'mobile');
+  assert.equal(deviceClass(TAB), 'tablet');
+  assert.equal(deviceClass('Mozilla/5.0 (iPad; CPU OS 17_5 like Mac OS X) AppleWebKit/605.1.15'), 'tablet');
+  assert.equal(deviceClass(MAC), 'desktop');
+  assert.equal(deviceClass('WhatsApp/2.23.20.0 A'), 'bot');
+  assert.equal(deviceClass(''), 'unknown');
+  assert.equal(deviceClass(null), 'unknown');
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { prisma } from '../src/lib/db.js';
+import { parseImport, planImport, IMPORT_MAX_ROWS } from '../src/lib/cardImport.js';
+import { toCsvRow } from '../src/lib/csv.js';
+
+const csv = (...rows) => rows.map(toCsvRow).join('');
+
+test('parseImport reads headers loosely and cells as a merge patch', () => {
+  const parsed = parseImport(csv(
+    ['UID', 'Owner Email', 'name', 'Phones', 'LinkedIn', 'claimed', 'url', 'shoe size'],
+    ['abcd1234', '', 'Ana Reyes', 'work: +63 2 8555 0101; +63 917 555 0100', 'https://linkedin.com/in/ana', 'yes', 'https://x.test', '42'],
+    ['', 'ana@example.com', "'=Ana", '', '', '', '', ''],
+  ));
+  assert.equal(parsed.ok, true);
+  // export-only columns are expected, anything else unknown is reported
+  assert.deepEqual(parsed.ignored, ['shoe size']);
+  assert.deepEqual(parsed.rows, [
+    {
+      row: 1,
+      uid: 'abcd1234',
+      ownerEmail: null,
+      patch: {
+        name: 'Ana Reyes',
+        phones: [{ label: 'work', number: '+63 2 8555 0101' }, { number: '+63 917 555 0100' }],
+        socials: { linkedin: 'https://linkedin.com/in/ana' },
+      },
+    },
+    // the ' an export put in front of a formula-like cell comes off again
+    { row: 2, uid: null, ownerEmail: 'ana@example.com', patch: { name: '=Ana' } },
+  ]);
+});
+
+test('parseImport refuses empty and oversized files', () => {
+  assert.deepEqual(parseImport(''), { ok: false, error: 'empty_csv' });
+  assert.deepEqual(parseImport(csv(['uid', 'name'])), { ok: false, error: 'no_rows' });
+  const big = csv(['name'], ...Array.from({ length: IMPORT_MAX_ROWS + 1 }, (_, i) => [`Card ${i}`]));
+  assert.deepEqual(parseImport(big), { ok: false, error: 'too_many_rows', max: IMPORT_MAX_ROWS });
+});
+
+test('planImport reports every row and only plans the valid changes', async (t) => {
+  const card = (uid, fields = {}) => ({
+    uid, org: null, orgId: null, claimedAt: null, claimedByEmail: null, suspendedAt: null,
+    name: null, company: null, title: null, mobile: null, phone: null, email: null,
+    website: null, address: null, imageUrl: null, socials: {},
+    phones: [], emails: [], urls: [], addresses: [], links: [],
+    updatedAt: new Date('2025-01-01T00:00:00Z'),
+    ...fields,
+  });
+  const cards = [
+    card('same0001', { name: 'Ana Reyes' }),
+    card('edit0001', { name: 'Ben Cruz' }),
+    card('taken001', { name: 'Cy', claimedAt: new Date(), claimedByEmail: 'cy@example.com' }),
+    card('gone0001', { suspendedAt: new Date() }),
+  ];
+  Object.defineProperty(prisma, 'card', {
+    value: { findMany: async ({ where }) => cards.filter(c => where.uid.in.includes(c.uid)) },
+    configurable: true,
+  });
+  t.after(() => delete prisma.card);
+
+  const { rows } = parseImport(csv(
+    ['uid', 'owner_email', 'name', 'email'],
+    ['', '', 'New Person', ''],
+    ['same0001', '', 'Ana Reyes', ''],
+    ['edit0001', '', '', 'ben@example.com'],
+    ['edit0001', '', 'Ben', ''],
+    ['nope0001', '', 'Who', ''],
+    ['gone0001', '', 'Gone', ''],
+    ['taken001', 'someone@example.com', '', ''],
+    ['', 'not-an-email', 'Bad', 'also-bad'],
+  ));
+  rows.push({ row: 9, uid: null, ownerEmail: null, patch: {} });
+  const { ok, summary, rows: report, plan } = await planImport(rows);
+
+  assert.equal(ok, false);
+  assert.deepEqual(summary, { create: 1, update: 1, unchanged: 1, error: 6 });
+  assert.deepEqual(report.map(r => r.action), [
+    'create', 'unchanged', 'update', 'error', 'error', 'error', 'error', 'error', 'error',
+  ]);
+  assert.ok(report[2].changes.includes('email'));
+  const codes = (i) => report[i].errors.map(e => e.code);
+  assert.deepEqual(codes(3), ['duplicate_uid']);
+  assert.deepEqual(codes(4), ['unknown_uid']);
+  assert.deepEqual(codes(5), ['card_inactive']);
+  assert.deepEqual(codes(6), ['claimed_by_other']);
+  assert.deepEqual(codes(7), ['invalid_email', 'invalid_email']);
+  assert.deepEqual(codes(8), ['empty_row']);
+
+  assert.deepEqual(plan.map(p => [p.row, p.action]), [[1, 'create'], [3, 'update']]);
+  assert.equal(plan[0].data.name, 'New Person');
+  assert.equal(plan[1].data.email, 'ben@example.com');
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cardEtag, ifMatchFails } from '../src/lib/etag.js';
+
+const req = (ifMatch) => ({ get: (h) => (h.toLowerCase() === 'if-match' ? ifMatch : undefined) });
+
+test('cardEtag follows the card, and the org for members', () => {
+  const card = { updatedAt: new Date('2025-01-02T03:04:05Z') };
+  const org = { updatedAt: new Date('2025-02-01T00:00:00Z') };
+  const plain = cardEtag(card);
+  assert.match(plain, /^"[0-9a-z]+"$/);
+  assert.equal(cardEtag({ updatedAt: card.updatedAt.toISOString() }), plain);
+  assert.notEqual(cardEtag({ updatedAt: new Date('2025-01-02T03:04:06Z') }), plain);
+
+  const member = cardEtag(card, org);
+  assert.match(member, /^"[0-9a-z]+-[0-9a-z]+"$/);
+  assert.ok(member.startsWith(plain.slice(0, -1)));
+  assert.equal(cardEtag({ ...card, org }), member);
+  assert.notEqual(cardEtag(card, { updatedAt: new Date('2025-03-01T00:00:00Z') }), member);
+  assert.equal(cardEtag({ ...card, org: null }), plain);
+});
+
+test('ifMatchFails: no header passes, "*" and any listed tag match', () => {
+  const etag = cardEtag({ updatedAt: new Date('2025-01-02T03:04:05Z') });
+  assert.equal(ifMatchFails(req(undefined), etag), false);
+  assert.equal(ifMatchFails(req(etag), etag), false);
+  assert.equal(ifMatchFails(req('*'), etag), false);
+  assert.equal(ifMatchFails(req(`"old", ${etag}`), etag), false);
+  assert.equal(ifMatchFails(req('"old"'), etag), true);
+  assert.equal(ifMatchFails(req(etag.replace(/"/g, '')), etag), true);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { anonymizeIp, truncateIp } from '../src/lib/privacy.js';
+
+test('truncateIp keeps the network part of IPv4 and IPv6 addresses', () => {
+  assert.equal(truncateIp('203.0.113.77'), '203.0.113.0');
+  assert.equal(truncateIp('::ffff:203.0.113.77'), '203.0.113.0');
+  assert.equal(truncateIp('2001:db8:85a3::8a2e:370:7334'), '2001:db8:85a3::');
+  assert.equal(truncateIp('2001:0db8:0000:0042:0000:8a2e:0370:7334'), '2001:db8:0::');
+  assert.equal(truncateIp('2001:db8::1'), '2001:db8:0::');
+  assert.equal(truncateIp('::1'), '0:0:0::');
+  assert.equal(truncateIp('not an ip'), null);
+  assert.equal(truncateIp(''), null);
+});
+
+test('anonymizeIp follows the mode: truncate, hash or full', () => {
+  assert.equal(anonymizeIp('203.0.113.77', 'truncate'), '203.0.113.0');
+  assert.equal(anonymizeIp('203.0.113.77', 'full'), '203.0.113.77');
+
+  const hashed = anonymizeIp('203.0.113.77', 'hash');
+  assert.match(hashed, /^h:[A-Za-z0-9_-]{22}$/);
+  assert.equal(anonymizeIp('203.0.113.77', 'hash'), hashed);
+  assert.notEqual(anonymizeIp('203.0.113.78', 'hash'), hashed);
+  assert.ok(!hashed.includes('203.0.113'));
+
+  for (const mode of ['truncate', 'hash', 'full']) {
+    assert.equal(anonymizeIp(null, mode), null);
+    assert.equal(anonymizeIp('', mode), null);
+  }
+});
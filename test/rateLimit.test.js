@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLimit, hit, rateLimit } from '../src/lib/rateLimit.js';
+
+// RATE_LIMIT_STORE is unset here: these go through the in-memory store
+
+test('parseLimit reads "<max>/<seconds>"', () => {
+  assert.deepEqual(parseLimit('120/60'), { max: 120, windowSec: 60 });
+  assert.deepEqual(parseLimit(' 5 / 3600 '), { max: 5, windowSec: 3600 });
+  for (const bad of ['', '10', '10/0', '-1/60', 'ten/60', '10/60/1']) {
+    assert.throws(() => parseLimit(bad), /Invalid rate limit/, bad);
+  }
+});
+
+test('the memory store counts per key within a fixed window', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-01-01T00:00:00Z') });
+  const limit = { max: 2, windowSec: 60 };
+
+  assert.deepEqual(await hit('test:a', limit), { ok: true, count: 1, retryAfter: 60 });
+  assert.deepEqual(await hit('test:a', limit), { ok: true, count: 2, retryAfter: 60 });
+  t.mock.timers.tick(15_000);
+  assert.deepEqual(await hit('test:a', limit), { ok: false, count: 3, retryAfter: 45 });
+  // other keys have their own counters
+  assert.equal((await hit('test:b', limit)).count, 1);
+
+  t.mock.timers.tick(45_000);
+  assert.deepEqual(await hit('test:a', limit), { ok: true, count: 1, retryAfter: 60 });
+});
+
+test('rateLimit counts every rule and answers 429 with Retry-After', async () => {
+  const mw = rateLimit('test', [
+    { by: 'ip', limit: '1/60', key: req => req.ip },
+    { by: 'email', limit: '5/60', key: req => req.body?.email ?? null },
+  ]);
+  const call = (req) => new Promise((resolve) => {
+    const res = {
+      headers: {},
+      set(k, v) { this.headers[k] = v; return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body, headers: this.headers }); return this; },
+    };
+    mw(req, res, () => resolve({ next: true }));
+  });
+
+  assert.deepEqual(await call({ ip: '198.51.100.1', body: {} }), { next: true });
+  const blocked = await call({ ip: '198.51.100.1', body: { email: 'a@example.com' } });
+  assert.equal(blocked.status, 429);
+  assert.equal(blocked.body.error, 'rate_limited');
+  assert.ok(blocked.body.retryAfter > 0);
+  assert.equal(String(blocked.headers['Retry-After']), String(blocked.body.retryAfter));
+  // the blocked request still counted against its email
+  assert.equal((await hit('test:email:a@example.com', parseLimit('5/60'))).count, 2);
+  assert.deepEqual(await call({ ip: '198.51.100.2', body: { email: 'b@example.com' } }), { next: true });
+});
@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ICAL from 'ical.js';
+import { buildVCard, foldLine, splitName, socialEntries, negotiateVersion } from '../src/lib/vcard.js';
+
+/* Round trips: build with src/lib/vcard.js, read back with ical.js */
+
+const parse = (text) => new ICAL.Component(ICAL.parse(text));
+const props = (vc, name) => vc.getAllProperties(name);
+const value = (vc, name) => vc.getFirstPropertyValue(name);
+
+const card = {
+  name: 'Dr. Maria Clara de la Cruz Jr.',
+  company: 'Cruz, Santos & Co.; Manila',
+  title: 'Head of R&D\\Ops',
+  phones: [
+    { label: 'mobile', number: '+63 917 555 0100' },
+    { label: 'work', number: '+63 2 8555 0101' },
+    { label: 'Boat', number: '+63 917 555 0102' },
+  ],
+  emails: [{ label: 'work', address: 'maria@example.com' }],
+  urls: [{ label: 'site', url: 'https://example.com' }],
+  addresses: [{ label: 'office', street: '12 Ayala Ave, Tower 1; 5F', city: 'Makati', country: 'PH' }],
+  links: [{ label: 'Book a call', url: 'https://cal.example.com/maria' }],
+  socials: { linkedin: 'https://linkedin.com/in/maria', github: 'https://github.com/maria' },
+  imageUrl: 'https://cdn.example.com/maria.jpg',
+  updatedAt: new Date('2025-01-02T03:04:05Z'),
+};
+
+for (const version of ['3.0', '4.0']) {
+  test(`vCard ${version} round-trips escaped text and structured values`, () => {
+    const vc = parse(buildVCard(card, { version }));
+    assert.equal(value(vc, 'version'), version);
+    assert.equal(value(vc, 'fn'), card.name);
+    assert.deepEqual(value(vc, 'n'), ['de la Cruz', 'Maria', 'Clara', 'Dr.', 'Jr.']);
+    assert.equal(value(vc, 'org'), card.company);
+    assert.equal(value(vc, 'title'), card.title);
+    assert.deepEqual(value(vc, 'adr'), ['', '', '12 Ayala Ave, Tower 1; 5F', 'Makati', '', '', 'PH']);
+    assert.equal(value(vc, 'email'), 'maria@example.com');
+  });
+
+  test(`vCard ${version} keeps phone labels`, () => {
+    const vc = parse(buildVCard(card, { version }));
+    const tels = props(vc, 'tel');
+    assert.equal(tels.length, 3);
+    const types = tels.map(t => [].concat(t.getParameter('type')).map(s => s.toLowerCase()));
+    assert.ok(types[0].includes('cell'));
+    assert.ok(types[1].includes('work'));
+    // a custom label travels as an X-ABLabel in the same group
+    const group = tels[2].toJSON()[1].group;
+    assert.ok(group);
+    const label = props(vc, 'x-ablabel').find(p => p.toJSON()[1].group === group);
+    assert.equal(label.getFirstValue(), 'Boat');
+  });
+
+  test(`vCard ${version} carries socials and link buttons`, () => {
+    const vc = parse(buildVCard(card, { version }));
+    const socials = version === '4.0'
+      ? props(vc, 'url').filter(p => p.getParameter('type'))
+      : props(vc, 'x-socialprofile');
+    assert.deepEqual(
+      socials.map(p => [p.getParameter('type'), p.getFirstValue()]),
+      [['linkedin', 'https://linkedin.com/in/maria'], ['github', 'https://github.com/maria']],
+    );
+    const urls = props(vc, 'url').map(p => p.getFirstValue());
+    assert.ok(urls.includes('https://example.com'));
+    assert.ok(urls.includes('https://cal.example.com/maria'));
+
+    const bare = parse(buildVCard(card, { version, socials: false }));
+    assert.equal(props(bare, 'x-socialprofile').length, 0);
+    assert.deepEqual(props(bare, 'url').map(p => p.getFirstValue()), ['https://example.com']);
+  });
+
+  test(`vCard ${version} embeds or links the photo`, () => {
+    const data = Buffer.alloc(600, 7).toString('base64');
+    const embedded = parse(buildVCard(card, { version, photo: { mime: 'image/png', data } }));
+    const photo = props(embedded, 'photo')[0];
+    if (version === '4.0') {
+      assert.equal(photo.getFirstValue(), `data:image/png;base64,${data}`);
+    } else {
+      assert.equal(photo.getParameter('encoding'), 'b');
+      assert.equal(photo.getParameter('type'), 'PNG');
+      assert.equal(String(photo.getFirstValue()), data);
+    }
+
+    const linked = parse(buildVCard(card, { version, photo: 'uri' }));
+    assert.equal(value(linked, 'photo'), card.imageUrl);
+    assert.equal(props(parse(buildVCard(card, { version })), 'photo').length, 0);
+  });
+}
+
+test('lines fold at 75 octets without splitting UTF-8 characters', () => {
+  const text = buildVCard({ ...card, title: 'Ñandú '.repeat(40) }, { photo: { mime: 'image/jpeg', data: 'A'.repeat(500) } });
+  for (const line of text.split('\r\n')) assert.ok(Buffer.byteLength(line, 'utf8') <= 75, line);
+  assert.ok(!text.includes('�'));
+  assert.equal(value(parse(text), 'title'), 'Ñandú '.repeat(40));
+
+  assert.equal(foldLine('x'.repeat(75)), 'x'.repeat(75));
+  assert.equal(foldLine('x'.repeat(76)), `${'x'.repeat(75)}\r\n x`);
+  const emoji = foldLine(`NOTE:${'😀'.repeat(30)}`);
+  assert.ok(emoji.split('\r\n').every(l => Buffer.byteLength(l, 'utf8') <= 75));
+  assert.equal(emoji.replace(/\r\n /g, ''), `NOTE:${'😀'.repeat(30)}`);
+});
+
+test('splitName reads prefixes, particles, suffixes and "family, given"', () => {
+  assert.deepEqual(splitName('Maria Cruz'), { family: 'Cruz', given: 'Maria', additional: '', prefix: '', suffix: '' });
+  assert.deepEqual(splitName('Ludwig van Beethoven'), { family: 'van Beethoven', given: 'Ludwig', additional: '', prefix: '', suffix: '' });
+  assert.deepEqual(splitName('Cruz, Maria Clara'), { family: 'Cruz', given: 'Maria', additional: 'Clara', prefix: '', suffix: '' });
+  assert.deepEqual(splitName('Juan Cruz, Jr.'), { family: 'Cruz', given: 'Juan', additional: '', prefix: '', suffix: 'Jr.' });
+  assert.deepEqual(splitName('Prof. Ana Reyes PhD'), { family: 'Reyes', given: 'Ana', additional: '', prefix: 'Prof.', suffix: 'PhD' });
+  assert.deepEqual(splitName('Cher'), { family: '', given: 'Cher', additional: '', prefix: '', suffix: '' });
+  assert.deepEqual(splitName(''), { family: '', given: '', additional: '', prefix: '', suffix: '' });
+});
+
+test('an empty name still gives a valid N and falls back for FN', () => {
+  const vc = parse(buildVCard({ company: 'Acme', emails: [{ address: 'hi@acme.test' }] }));
+  assert.deepEqual(value(vc, 'n'), ['', '', '', '', '']);
+  assert.equal(value(vc, 'fn'), 'Acme');
+});
+
+test('socialEntries accepts maps, custom lists and arrays', () => {
+  assert.deepEqual(socialEntries({ linkedin: 'https://l.test/x', x: '', custom: [{ label: 'Mastodon!', url: 'https://m.test/@x' }] }), [
+    { type: 'linkedin', url: 'https://l.test/x' },
+    { type: 'mastodon', url: 'https://m.test/@x' },
+  ]);
+  assert.deepEqual(socialEntries([{ network: 'GitHub', url: 'https://g.test/x\r\nEND:VCARD' }]), [
+    { type: 'github', url: 'https://g.test/xEND:VCARD' },
+  ]);
+  assert.deepEqual(socialEntries(null), []);
+});
+
+test('negotiateVersion: ?version wins, then Accept, else 3.0', () => {
+  const req = (query, accept) => ({ query, headers: accept ? { accept } : {} });
+  assert.equal(negotiateVersion(req({})), '3.0');
+  assert.equal(negotiateVersion(req({ version: '4.0' })), '4.0');
+  assert.equal(negotiateVersion(req({ version: '4' }, 'text/vcard; version=3.0')), '4.0');
+  assert.equal(negotiateVersion(req({ version: '3.0' }, 'text/vcard; version=4.0')), '3.0');
+  assert.equal(negotiateVersion(req({}, 'text/vcard; version="4.0"')), '4.0');
+  assert.equal(negotiateVersion(req({}, 'text/x-vcard;version=4.0, */*')), '4.0');
+  assert.equal(negotiateVersion(req({}, 'text/vcard')), '3.0');
+});